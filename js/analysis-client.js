@@ -0,0 +1,78 @@
+// Background analysis
+// Sends frames to the analysis worker and falls back to the main thread where module
+// workers aren't available, so callers always get a promise of the same result.
+
+import { analyzeImage } from './analyzer.js';
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+function getWorker() {
+    if (worker || workerFailed) return worker;
+    if (typeof Worker === 'undefined') {
+        workerFailed = true;
+        return null;
+    }
+    
+    try {
+        worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        console.log('Analysis worker unavailable, using the main thread:', err);
+        workerFailed = true;
+        return null;
+    }
+    
+    worker.addEventListener('message', (event) => {
+        const { id, analysis, error } = event.data;
+        const request = pendingRequests.get(id);
+        if (!request) return;
+        pendingRequests.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(analysis);
+        }
+    });
+    
+    // A worker that can't load (e.g. no module worker support) finishes its queue on the main thread
+    worker.addEventListener('error', (event) => {
+        console.log('Analysis worker failed, using the main thread:', event.message);
+        workerFailed = true;
+        worker.terminate();
+        worker = null;
+        pendingRequests.forEach(request => request.runHere());
+        pendingRequests.clear();
+    });
+    
+    return worker;
+}
+
+// Analyse an ImageData in the worker. The pixels are copied and the copy's buffer transferred,
+// so the caller's ImageData stays usable for drawing.
+export function analyzeImageAsync(imageData, options = {}) {
+    const { data, width, height } = imageData;
+    const target = getWorker();
+    if (!target) {
+        return Promise.resolve(analyzeImage(data, width, height, options));
+    }
+    
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pendingRequests.set(id, {
+            resolve: resolve,
+            reject: reject,
+            runHere: () => {
+                try {
+                    resolve(analyzeImage(data, width, height, options));
+                } catch (err) {
+                    reject(err);
+                }
+            }
+        });
+        
+        const pixels = data.slice();
+        target.postMessage({ id: id, buffer: pixels.buffer, width: width, height: height, options: options }, [pixels.buffer]);
+    });
+}
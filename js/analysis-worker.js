@@ -0,0 +1,16 @@
+// Analysis worker
+// Runs analyzeImage off the main thread so the page stays responsive after capture.
+// Messages in: { id, buffer, width, height, options } with the RGBA buffer transferred.
+// Messages out: { id, analysis } or { id, error }.
+
+import { analyzeImage } from './analyzer.js';
+
+self.addEventListener('message', (event) => {
+    const { id, buffer, width, height, options } = event.data;
+    try {
+        const analysis = analyzeImage(new Uint8ClampedArray(buffer), width, height, options);
+        self.postMessage({ id: id, analysis: analysis });
+    } catch (err) {
+        self.postMessage({ id: id, error: err.message });
+    }
+});
@@ -0,0 +1,857 @@
+// Beer level analysis
+// Detection and scoring only work on raw RGBA pixel data, with no DOM or window access,
+// so the same code runs in the browser and headlessly in Node (e.g. for fixture regression runs).
+
+import { getVolumeMeasurements, DEFAULT_CUSTOM_TAPER } from './glass-profiles.js';
+import { calculateScore, defaultScoringRules } from './scoring.js';
+import { locateGlass, straightenImage, locateLimits } from './locate.js';
+
+export { calculateScore };
+
+// Define analysis regions (matching guide outline), used when the glass can't be located
+export const analysisRegions = {
+    left: 0.2,    // 20% from left
+    right: 0.8,   // 80% from left
+    top: 0.1,     // 10% from top
+    bottom: 0.9,  // 90% from top
+    targetY: 0.5  // Arrow position (50% from top)
+};
+
+// The G line sits 60% of the way up the glass
+export const DEFAULT_TARGET_PERCENTAGE = 60;
+
+// Where a printed G can sit, as a percentage up the glass; matches outside are ignored
+export const logoTargetRange = { min: 30, max: 85 };
+
+// Detector thresholds, exposed so they can be tuned for a bar's lighting (see the inspector)
+export const detectionThresholds = {
+    edgeContrast: 30,       // Brightness change to the rows above and below that marks an edge pixel
+    edgeBrightness: 20,     // ...or difference from their average
+    rowTransition: 20,      // Above/below brightness difference for the per-row liquid transition signal
+    minEdgeStrength: 0.15,  // Share of a rim strip that must be edge pixels to count as a rim candidate
+    minColorDiff: 30        // Minimum window colour difference to consider as a liquid transition
+};
+
+// Options the caller can override per analysis
+export const defaultAnalysisOptions = {
+    splitBoundary: 'body',            // Which line counts for the split: 'body' (stout/head boundary) or 'head' (top of the head)
+    glassProfile: 'tulip',            // Glass shape used for volume: 'tulip', 'nonic', 'straight' or 'custom'
+    customTaper: DEFAULT_CUSTOM_TAPER, // Bottom width as a fraction of the rim width for custom glasses
+    scoreBy: 'height',                // Score the fill 'height' or the 'volume' of beer left
+    scoring: defaultScoringRules,     // Preset, custom target and penalties (see scoring.js)
+    thresholds: detectionThresholds,  // Detector thresholds (see above)
+    region: null,                     // Scan region as frame fractions ({ left, right, top, bottom }); null uses analysisRegions
+    locateGlass: true,                // Find the glass first and scan around it (analyzeImage only)
+    straighten: true                  // Undo a leaning glass before scanning (analyzeImage only)
+};
+
+// Limits used to decide whether a photo can be scored at all
+export const qualityLimits = {
+    minBottomEdgeStrength: 0.1,  // Fraction of the centre strip that must be an edge at the glass bottom
+    minGlassHeight: 0.3,         // Glass must span at least 30% of the frame height
+    minBrightness: 40,           // Mean brightness (0-255) inside the guide area
+    minSharpness: 20,            // Variance of the Laplacian inside the guide area
+    maxRimTilt: 0.1,             // Allowed left/right rim difference as a fraction of glass height
+    maxBodyBrightness: 80,       // Rows below the head/body boundary darker than this (0-255) count as stout
+    minDarkBodyShare: 0.8,       // Share of the rows below the boundary that must be stout
+    minTextureBands: 6,          // Evenly spaced edge rows needed to call the scene a repeating texture...
+    maxTextureGapVariation: 0.25, // ...with gaps varying by at most this fraction of their mean
+    minConfidence: 0.4           // Below this the result is rejected even without a specific issue
+};
+
+// Measure mean brightness and sharpness (variance of the Laplacian) in a rectangle
+export function measureImageQuality(imageData, width, height, left, top, right, bottom) {
+    const gray = (x, y) => {
+        const idx = (y * width + x) * 4;
+        return (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
+    };
+    
+    let brightnessSum = 0;
+    let laplacianSum = 0;
+    let laplacianSquaredSum = 0;
+    let count = 0;
+    
+    // Every other pixel is plenty for these averages
+    for (let y = Math.max(1, top); y < Math.min(height - 1, bottom); y += 2) {
+        for (let x = Math.max(1, left); x < Math.min(width - 1, right); x += 2) {
+            const center = gray(x, y);
+            const laplacian = gray(x - 1, y) + gray(x + 1, y) + gray(x, y - 1) + gray(x, y + 1) - 4 * center;
+            brightnessSum += center;
+            laplacianSum += laplacian;
+            laplacianSquaredSum += laplacian * laplacian;
+            count++;
+        }
+    }
+    
+    if (count === 0) {
+        return { brightness: 0, sharpness: 0 };
+    }
+    
+    const laplacianMean = laplacianSum / count;
+    return {
+        brightness: brightnessSum / count,
+        sharpness: laplacianSquaredSum / count - laplacianMean * laplacianMean
+    };
+}
+
+// Analyze the beer level in the image
+export function analyzeBeerLevel(imageData, width, height, options = {}) {
+    const settings = { ...defaultAnalysisOptions, ...options };
+    const thresholds = { ...detectionThresholds, ...settings.thresholds };
+    const debugData = new Array(height).fill(0);
+    let edgeIntensityByRow = new Array(height).fill(0);
+    let leftEdgeIntensity = new Array(height).fill(0);
+    let rightEdgeIntensity = new Array(height).fill(0);
+    let liquidTransitionByRow = new Array(height).fill(0);
+    
+    // Scan inside the located glass, or the guide outline when there isn't one
+    const region = settings.region || analysisRegions;
+    const regionWidth = region.right - region.left;
+    const regionHeight = region.bottom - region.top;
+    
+    // Sample the middle third of the guide area for liquid detection
+    const guideWidth = regionWidth * width;
+    const startX = Math.floor(width * region.left + guideWidth * 0.33);
+    const endX = Math.floor(width * region.left + guideWidth * 0.66);
+    const sampleWidth = endX - startX;
+    
+    // Define regions for left and right rim detection (the outer sixth on each side)
+    const leftRegionStart = Math.floor(width * region.left);
+    const leftRegionEnd = Math.floor(width * (region.left + regionWidth / 6));
+    const rightRegionStart = Math.floor(width * (region.right - regionWidth / 6));
+    const rightRegionEnd = Math.floor(width * region.right);
+    
+    // Analysis boundaries
+    const startY = Math.floor(height * region.top);
+    const endY = Math.floor(height * region.bottom);
+    
+    // First pass: detect edges and potential liquid boundaries
+    for (let y = startY + 1; y < endY - 1; y++) {
+        // Scan left region for left rim
+        for (let x = leftRegionStart; x < leftRegionEnd; x++) {
+            const idx = (y * width + x) * 4;
+            const idxAbove = ((y - 1) * width + x) * 4;
+            const idxBelow = ((y + 1) * width + x) * 4;
+            
+            // Calculate brightness values
+            const brightness = (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
+            const brightnessAbove = (imageData[idxAbove] + imageData[idxAbove + 1] + imageData[idxAbove + 2]) / 3;
+            const brightnessBelow = (imageData[idxBelow] + imageData[idxBelow + 1] + imageData[idxBelow + 2]) / 3;
+            
+            const verticalEdge = Math.abs(brightness - brightnessAbove) + Math.abs(brightness - brightnessBelow);
+            const brightnessDiff = Math.abs(brightness - ((brightnessAbove + brightnessBelow) / 2));
+            
+            leftEdgeIntensity[y] += (verticalEdge > thresholds.edgeContrast || brightnessDiff > thresholds.edgeBrightness) ? 1 : 0;
+        }
+        
+        // Scan right region for right rim
+        for (let x = rightRegionStart; x < rightRegionEnd; x++) {
+            const idx = (y * width + x) * 4;
+            const idxAbove = ((y - 1) * width + x) * 4;
+            const idxBelow = ((y + 1) * width + x) * 4;
+            
+            const brightness = (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
+            const brightnessAbove = (imageData[idxAbove] + imageData[idxAbove + 1] + imageData[idxAbove + 2]) / 3;
+            const brightnessBelow = (imageData[idxBelow] + imageData[idxBelow + 1] + imageData[idxBelow + 2]) / 3;
+            
+            const verticalEdge = Math.abs(brightness - brightnessAbove) + Math.abs(brightness - brightnessBelow);
+            const brightnessDiff = Math.abs(brightness - ((brightnessAbove + brightnessBelow) / 2));
+            
+            rightEdgeIntensity[y] += (verticalEdge > thresholds.edgeContrast || brightnessDiff > thresholds.edgeBrightness) ? 1 : 0;
+        }
+        
+        // Scan middle region for liquid level
+        for (let x = startX; x < endX; x++) {
+            const idx = (y * width + x) * 4;
+            const idxAbove = ((y - 1) * width + x) * 4;
+            const idxBelow = ((y + 1) * width + x) * 4;
+            
+            const brightness = (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
+            const brightnessAbove = (imageData[idxAbove] + imageData[idxAbove + 1] + imageData[idxAbove + 2]) / 3;
+            const brightnessBelow = (imageData[idxBelow] + imageData[idxBelow + 1] + imageData[idxBelow + 2]) / 3;
+            
+            // For overall edge detection (used for bottom)
+            const verticalEdge = Math.abs(brightness - brightnessAbove) + Math.abs(brightness - brightnessBelow);
+            const brightnessDiff = Math.abs(brightness - ((brightnessAbove + brightnessBelow) / 2));
+            edgeIntensityByRow[y] += (verticalEdge > thresholds.edgeContrast || brightnessDiff > thresholds.edgeBrightness) ? 1 : 0;
+            
+            // For liquid level detection
+            const colorDiff = Math.abs(brightnessAbove - brightnessBelow);
+            liquidTransitionByRow[y] += colorDiff > thresholds.rowTransition ? 1 : 0;
+        }
+        
+        // Normalize values
+        leftEdgeIntensity[y] /= (leftRegionEnd - leftRegionStart);
+        rightEdgeIntensity[y] /= (rightRegionEnd - rightRegionStart);
+        edgeIntensityByRow[y] /= sampleWidth;
+        liquidTransitionByRow[y] /= sampleWidth;
+        debugData[y] = liquidTransitionByRow[y];
+    }
+    
+    // Find left and right rim positions
+    let leftRimTop = height * region.top;
+    let rightRimTop = height * region.top;
+    let leftTopEdges = [];
+    let rightTopEdges = [];
+    
+    // Detect significant edges in the top portion of the guide area
+    const minEdgeStrength = thresholds.minEdgeStrength;
+    const topSearchLimit = height * (region.top + regionHeight * 0.3);
+    for (let y = startY; y < topSearchLimit; y++) {
+        if (leftEdgeIntensity[y] > minEdgeStrength) {
+            leftTopEdges.push({
+                position: y,
+                strength: leftEdgeIntensity[y]
+            });
+        }
+        if (rightEdgeIntensity[y] > minEdgeStrength) {
+            rightTopEdges.push({
+                position: y,
+                strength: rightEdgeIntensity[y]
+            });
+        }
+    }
+    
+    // Sort edges by strength for both sides
+    leftTopEdges.sort((a, b) => b.strength - a.strength);
+    rightTopEdges.sort((a, b) => b.strength - a.strength);
+    
+    // Find the highest strong edge for each side (this will be the back rim)
+    if (leftTopEdges.length > 0) {
+        const strongLeftEdges = leftTopEdges.slice(0, 3);
+        leftRimTop = Math.min(...strongLeftEdges.map(edge => edge.position));
+    }
+    
+    if (rightTopEdges.length > 0) {
+        const strongRightEdges = rightTopEdges.slice(0, 3);
+        rightRimTop = Math.min(...strongRightEdges.map(edge => edge.position));
+    }
+    
+    // Use only the highest rim position
+    const glassTop = Math.min(leftRimTop, rightRimTop);
+    
+    // The back of the rim in the middle of the glass sits above the side rims when the
+    // camera looks down on the glass; its offset gives the rim ellipse for tilt correction.
+    // Search up from the rim for the nearest centre-strip edge that curves down to both side
+    // rims: a shelf or picture behind the glass crosses the centre strip but not the rim ends.
+    let rimCenterTop = null;
+    const rimHalfWidth = (rightRegionEnd - leftRegionStart) / 2;
+    const rimCenterX = (leftRegionStart + rightRegionEnd) / 2;
+    const rimSearchLimit = Math.max(startY + 1, Math.floor(glassTop - rimHalfWidth * 0.7));
+    
+    const isEdgePixel = (x, y) => {
+        const idx = (y * width + x) * 4;
+        const idxAbove = ((y - 1) * width + x) * 4;
+        const idxBelow = ((y + 1) * width + x) * 4;
+        const brightness = (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
+        const brightnessAbove = (imageData[idxAbove] + imageData[idxAbove + 1] + imageData[idxAbove + 2]) / 3;
+        const brightnessBelow = (imageData[idxBelow] + imageData[idxBelow + 1] + imageData[idxBelow + 2]) / 3;
+        const verticalEdge = Math.abs(brightness - brightnessAbove) + Math.abs(brightness - brightnessBelow);
+        const brightnessDiff = Math.abs(brightness - ((brightnessAbove + brightnessBelow) / 2));
+        return verticalEdge > thresholds.edgeContrast || brightnessDiff > thresholds.edgeBrightness;
+    };
+    
+    // Whether edge pixels follow the half ellipse from the rim up to apexY, on both sides of the
+    // centre strip. The allowed distance grows with the ellipse, as the glass's true width is
+    // only known to within the scan region's padding.
+    const followsRimArc = (apexY) => {
+        const arcHeight = glassTop - apexY;
+        const tolerance = Math.max(2, Math.round(arcHeight * 0.2));
+        return [[leftRegionEnd, startX], [endX, rightRegionStart]].every(([spanStart, spanEnd]) => {
+            let supported = 0;
+            let sampled = 0;
+            for (let x = spanStart; x < spanEnd; x += 2) {
+                const offset = (x - rimCenterX) / rimHalfWidth;
+                const arcY = Math.round(glassTop - arcHeight * Math.sqrt(Math.max(0, 1 - offset * offset)));
+                const fromY = Math.max(startY + 1, arcY - tolerance);
+                const toY = Math.min(endY - 2, arcY + tolerance);
+                for (let y = fromY; y <= toY; y++) {
+                    if (isEdgePixel(x, y)) {
+                        supported++;
+                        break;
+                    }
+                }
+                sampled++;
+            }
+            return sampled > 0 && supported / sampled >= 0.6;
+        });
+    };
+    
+    // Skip the rows of the rim line itself, then take the first edge above it that meets the rim ends
+    let rimY = Math.floor(glassTop) - 1;
+    while (rimY >= rimSearchLimit && edgeIntensityByRow[rimY] > minEdgeStrength) {
+        rimY--;
+    }
+    for (; rimY >= rimSearchLimit; rimY--) {
+        if (edgeIntensityByRow[rimY] > minEdgeStrength && followsRimArc(rimY)) {
+            // Like glassTop, report the top of the back rim's edge rows
+            while (rimY - 1 >= rimSearchLimit && edgeIntensityByRow[rimY - 1] > minEdgeStrength) {
+                rimY--;
+            }
+            rimCenterTop = rimY;
+            break;
+        }
+    }
+    
+    // Find glass bottom in the lower part of the region (60-90% of the frame for the guide outline)
+    let glassBottom = height * (region.top + regionHeight * 0.8125);
+    let maxEdgeStrength = 0;
+    
+    for (let y = Math.floor(height * (region.top + regionHeight * 0.625)); y < endY; y++) {
+        if (edgeIntensityByRow[y] > maxEdgeStrength) {
+            maxEdgeStrength = edgeIntensityByRow[y];
+            glassBottom = y;
+        }
+    }
+    
+    // Find liquid level within the glass boundaries
+    let liquidLevel = glassBottom;
+    let maxTransition = 0;
+    const windowSize = 5;
+    const minColorDiff = thresholds.minColorDiff; // Minimum color difference to consider as a transition
+    const transitionStrength = new Array(height).fill(0);
+    const brightnessStep = new Array(height).fill(0);
+    const windowBrightness = new Array(height).fill(0);
+    
+    // Per-row channel sums across the sample strip, as prefix sums over rows, so each
+    // window's average is two lookups instead of a pass over every pixel in it
+    const prefixR = new Float64Array(height + 1);
+    const prefixG = new Float64Array(height + 1);
+    const prefixB = new Float64Array(height + 1);
+    for (let y = 0; y < height; y++) {
+        let rowR = 0;
+        let rowG = 0;
+        let rowB = 0;
+        for (let x = startX; x < endX; x++) {
+            const idx = (y * width + x) * 4;
+            rowR += imageData[idx];
+            rowG += imageData[idx + 1];
+            rowB += imageData[idx + 2];
+        }
+        prefixR[y + 1] = prefixR[y] + rowR;
+        prefixG[y + 1] = prefixG[y] + rowG;
+        prefixB[y + 1] = prefixB[y] + rowB;
+    }
+    const windowPixels = sampleWidth * windowSize;
+    
+    // Start from the bottom and move up
+    for (let y = glassBottom - windowSize; y > glassTop + windowSize; y--) {
+        // Channel sums of the window starting at this row minus those of the window above it
+        const diffR = (prefixR[y + windowSize] - prefixR[y]) - (prefixR[y] - prefixR[y - windowSize]);
+        const diffG = (prefixG[y + windowSize] - prefixG[y]) - (prefixG[y] - prefixG[y - windowSize]);
+        const diffB = (prefixB[y + windowSize] - prefixB[y]) - (prefixB[y] - prefixB[y - windowSize]);
+        const currentBrightness = (prefixR[y + windowSize] - prefixR[y] +
+                                   prefixG[y + windowSize] - prefixG[y] +
+                                   prefixB[y + windowSize] - prefixB[y]) / 3 / windowPixels;
+        const brightnessDiff = (diffR + diffG + diffB) / 3 / windowPixels;
+        
+        // Calculate color difference of the window averages (brightness plus each channel)
+        const colorDiff = Math.abs(brightnessDiff) +
+                         (Math.abs(diffR) + Math.abs(diffG) + Math.abs(diffB)) / windowPixels;
+        
+        // Store for visualization
+        debugData[y] = colorDiff / 1000;
+        
+        // Keep the per-row signals for zone detection (positive step = darker below)
+        transitionStrength[y] = colorDiff;
+        brightnessStep[y] = -brightnessDiff;
+        windowBrightness[y] = currentBrightness;
+        
+        // If we find a significant color transition
+        if (colorDiff > minColorDiff && colorDiff > maxTransition) {
+            maxTransition = colorDiff;
+            liquidLevel = y;
+        }
+    }
+    
+    // Split the glass into air, foam head and stout body
+    const zones = findLiquidZones(
+        { transitionStrength, brightnessStep, windowBrightness },
+        glassTop, glassBottom, liquidLevel, minColorDiff, windowSize
+    );
+    liquidLevel = settings.splitBoundary === 'head' ? zones.headTop : zones.headBodyBoundary;
+    
+    // Calculate beer level as percentage from bottom
+    const glassHeight = glassBottom - glassTop;
+    const beerHeight = glassBottom - liquidLevel;
+    const beerLevel = beerHeight / glassHeight;
+    
+    // Bricks, tiles or blinds give evenly spaced edge rows all the way down. A rim and bottom
+    // that only sit on such a pattern say nothing about a glass.
+    const textureBands = findRepeatingBands(edgeIntensityByRow, startY + 1, endY - 1, minEdgeStrength);
+    const isOnTexture = (y) => textureBands !== null &&
+        textureBands.some(band => y >= band.top - 1 && y <= band.bottom + 1);
+    
+    // Check how much of this can be trusted
+    const quality = measureImageQuality(
+        imageData, width, height,
+        leftRegionStart, startY, rightRegionEnd, endY
+    );
+    const { confidence, issues } = assessConfidence({
+        bodyFound: zones.bodyFound,
+        repeatingTexture: isOnTexture(glassTop) && isOnTexture(glassBottom),
+        height: height,
+        leftRimFound: leftTopEdges.length > 0,
+        rightRimFound: rightTopEdges.length > 0,
+        leftRimTop: leftRimTop,
+        rightRimTop: rightRimTop,
+        bottomEdgeStrength: maxEdgeStrength,
+        liquidTransition: maxTransition,
+        minColorDiff: minColorDiff,
+        glassHeight: glassHeight,
+        brightness: quality.brightness,
+        sharpness: quality.sharpness
+    });
+    
+    return {
+        beerLevel: beerLevel,
+        confidence: confidence,
+        issues: issues,
+        usable: issues.length === 0 && confidence >= qualityLimits.minConfidence,
+        brightness: quality.brightness,
+        sharpness: quality.sharpness,
+        debugData: debugData,
+        glassTop: glassTop, // Use highest rim as glass top
+        glassBottom: glassBottom,
+        liquidLevel: liquidLevel,
+        splitBoundary: settings.splitBoundary,
+        headTop: zones.headTop,
+        headBodyBoundary: zones.headBodyBoundary,
+        headThickness: zones.headBodyBoundary - zones.headTop,
+        headPercentage: glassHeight > 0 ? Math.round(((zones.headBodyBoundary - zones.headTop) / glassHeight) * 100) : 0,
+        leftRimTop: leftRimTop,
+        rightRimTop: rightRimTop,
+        rimCenterTop: rimCenterTop,
+        glassProfile: settings.glassProfile,
+        customTaper: settings.customTaper,
+        scoreBy: settings.scoreBy,
+        scoring: { ...defaultScoringRules, ...settings.scoring },
+        // Per-row signals and rim candidates behind the chosen lines, for the inspector
+        thresholds: thresholds,
+        signals: {
+            leftEdgeIntensity: leftEdgeIntensity,
+            rightEdgeIntensity: rightEdgeIntensity,
+            edgeIntensityByRow: edgeIntensityByRow,
+            liquidTransitionByRow: liquidTransitionByRow,
+            transitionStrength: transitionStrength
+        },
+        rimCandidates: {
+            left: leftTopEdges.slice(0, 3).map(edge => edge.position),
+            right: rightTopEdges.slice(0, 3).map(edge => edge.position)
+        },
+        bounds: {
+            left: leftRegionStart,
+            right: rightRegionEnd,
+            centerX: Math.floor(width * (region.left + region.right) / 2)
+        }
+    };
+}
+
+// Find the head top and the head/body boundary from the per-row transition signals
+// Falls back to the strongest transition for both when there is no dark stout body.
+// bodyFound says whether the glass below the boundary really is mostly dark stout.
+export function findLiquidZones(signals, glassTop, glassBottom, strongestTransition, minColorDiff, windowSize) {
+    const { transitionStrength, brightnessStep, windowBrightness } = signals;
+    
+    // Head/body boundary: the strongest transition with darker stout below it
+    let headBodyBoundary = -1;
+    let bestStrength = 0;
+    for (let y = Math.ceil(glassTop + windowSize + 1); y < glassBottom - windowSize; y++) {
+        if (brightnessStep[y] > 0 && transitionStrength[y] > minColorDiff && transitionStrength[y] > bestStrength) {
+            bestStrength = transitionStrength[y];
+            headBodyBoundary = y;
+        }
+    }
+    
+    if (headBodyBoundary < 0) {
+        return { headTop: strongestTransition, headBodyBoundary: strongestTransition, bodyFound: false };
+    }
+    
+    // Any step to something darker passes the test above (a mortar line, a shelf), so check the
+    // rows down to the bottom are stout rather than more of the background
+    let bodyRows = 0;
+    let darkRows = 0;
+    for (let y = headBodyBoundary; y <= glassBottom - windowSize; y++) {
+        bodyRows++;
+        if (windowBrightness[y] <= qualityLimits.maxBodyBrightness) {
+            darkRows++;
+        }
+    }
+    const bodyFound = bodyRows >= windowSize && darkRows / bodyRows >= qualityLimits.minDarkBodyShare;
+    
+    // Head top: the strongest transition above it with lighter foam below, within a plausible head thickness.
+    // Rows right next to the boundary are skipped because its own windows still overlap there.
+    const bodyBrightness = windowBrightness[headBodyBoundary];
+    const maxHeadThickness = (glassBottom - glassTop) * 0.35;
+    const searchTop = Math.max(Math.ceil(glassTop + windowSize + 1), headBodyBoundary - maxHeadThickness);
+    let headTop = headBodyBoundary;
+    bestStrength = 0;
+    for (let y = headBodyBoundary - windowSize * 2; y >= searchTop; y--) {
+        const isFoamBelow = windowBrightness[y] > bodyBrightness + minColorDiff / 2;
+        if (isFoamBelow && transitionStrength[y] > minColorDiff / 2 && transitionStrength[y] > bestStrength) {
+            bestStrength = transitionStrength[y];
+            headTop = y;
+        }
+    }
+    
+    return { headTop: headTop, headBodyBoundary: headBodyBoundary, bodyFound: bodyFound };
+}
+
+// Runs of rows where signal exceeds minStrength, if they repeat at an even spacing the way
+// bricks, tiles or blinds do; null when there are too few or they're irregular like a glass's
+function findRepeatingBands(signal, from, to, minStrength) {
+    const bands = [];
+    let bandStart = -1;
+    for (let y = from; y <= to; y++) {
+        if (y < to && signal[y] > minStrength) {
+            if (bandStart < 0) bandStart = y;
+        } else if (bandStart >= 0) {
+            // Both edges of a thin line (a mortar joint) make one band
+            const previous = bands[bands.length - 1];
+            if (previous && bandStart - previous.bottom <= 3) {
+                previous.bottom = y - 1;
+            } else {
+                bands.push({ top: bandStart, bottom: y - 1 });
+            }
+            bandStart = -1;
+        }
+    }
+    if (bands.length < qualityLimits.minTextureBands) return null;
+    
+    const gaps = bands.slice(1).map((band, i) => band.top - bands[i].top);
+    const meanGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    const deviation = Math.sqrt(gaps.reduce((sum, gap) => sum + (gap - meanGap) ** 2, 0) / gaps.length);
+    return deviation / meanGap <= qualityLimits.maxTextureGapVariation ? bands : null;
+}
+
+// Turn the detector's evidence into a 0-1 confidence and a list of issue codes
+// Issue codes: no-rim, no-bottom, no-liquid, glass-too-small, too-dark, blurry, tilted
+export function assessConfidence(evidence) {
+    const issues = [];
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    
+    // Rim: both sides found is best, one side is a partial match
+    let rimScore = 1;
+    if (!evidence.leftRimFound && !evidence.rightRimFound) {
+        rimScore = 0.2;
+        issues.push('no-rim');
+    } else if (!evidence.leftRimFound || !evidence.rightRimFound) {
+        rimScore = 0.6;
+    }
+    
+    const bottomScore = clamp(evidence.bottomEdgeStrength / (qualityLimits.minBottomEdgeStrength * 2));
+    if (evidence.bottomEdgeStrength < qualityLimits.minBottomEdgeStrength) {
+        issues.push('no-bottom');
+    }
+    
+    // A transition well above the minimum colour difference is a clear liquid line, but only
+    // with a head/body boundary and dark stout below it: a wall or shelf has transitions too
+    let liquidScore = clamp(evidence.liquidTransition / (evidence.minColorDiff * 3));
+    if (evidence.liquidTransition === 0 || !evidence.bodyFound) {
+        liquidScore = 0.2;
+        issues.push('no-liquid');
+    }
+    
+    const sizeScore = clamp(evidence.glassHeight / (evidence.height * qualityLimits.minGlassHeight));
+    if (sizeScore < 1) {
+        issues.push('glass-too-small');
+    }
+    
+    const lightScore = clamp(evidence.brightness / qualityLimits.minBrightness);
+    if (lightScore < 1) {
+        issues.push('too-dark');
+    }
+    
+    const sharpnessScore = clamp(evidence.sharpness / qualityLimits.minSharpness);
+    if (sharpnessScore < 1) {
+        issues.push('blurry');
+    }
+    
+    // Tilt only means something when both rim sides were actually found
+    let tiltScore = 1;
+    if (evidence.leftRimFound && evidence.rightRimFound && evidence.glassHeight > 0) {
+        const tilt = Math.abs(evidence.leftRimTop - evidence.rightRimTop) / evidence.glassHeight;
+        tiltScore = clamp(1 - tilt / (qualityLimits.maxRimTilt * 2));
+        if (tilt > qualityLimits.maxRimTilt) {
+            issues.push('tilted');
+        }
+    }
+    
+    // A rim and bottom that are just rows of a repeating texture could be anywhere in it
+    const textureScore = evidence.repeatingTexture ? 0.3 : 1;
+    
+    const confidence = rimScore * bottomScore * liquidScore * sizeScore * lightScore * sharpnessScore * tiltScore *
+        textureScore;
+    
+    return {
+        confidence: Math.round(confidence * 100) / 100,
+        issues: issues
+    };
+}
+
+// Find the printed G (first letter of the logo text) between the rim and the bottom
+// Returns the G's bounding box and the row of its horizontal bar, or null if no logo is found
+export function findGLogo(imageData, width, height, glassTop, glassBottom, bounds) {
+    const glassHeight = glassBottom - glassTop;
+    if (glassHeight <= 0) return null;
+    
+    const gray = (x, y) => {
+        const idx = (y * width + x) * 4;
+        return (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
+    };
+    
+    // Logos sit somewhere in the middle of the glass, away from the rim and base
+    const margin = Math.floor((bounds.right - bounds.left) * 0.1);
+    const searchLeft = bounds.left + margin;
+    const searchRight = bounds.right - margin;
+    const searchTop = Math.floor(glassTop + glassHeight * 0.15);
+    const searchBottom = Math.floor(glassBottom - glassHeight * 0.1);
+    
+    // Printed text shows up as rows with many sharp horizontal brightness changes
+    const minTransitionsPerRow = 6;
+    const transitionsByRow = new Array(height).fill(0);
+    for (let y = searchTop; y < searchBottom; y++) {
+        for (let x = searchLeft + 1; x < searchRight; x++) {
+            if (Math.abs(gray(x, y) - gray(x - 1, y)) > 40) {
+                transitionsByRow[y]++;
+            }
+        }
+    }
+    
+    // Pick the busiest band of consecutive text-like rows with a plausible letter height
+    const minBandHeight = Math.max(4, Math.floor(glassHeight * 0.02));
+    const maxBandHeight = Math.floor(glassHeight * 0.15);
+    let band = null;
+    let bandStart = -1;
+    let bandTotal = 0;
+    for (let y = searchTop; y <= searchBottom; y++) {
+        if (y < searchBottom && transitionsByRow[y] >= minTransitionsPerRow) {
+            if (bandStart < 0) {
+                bandStart = y;
+                bandTotal = 0;
+            }
+            bandTotal += transitionsByRow[y];
+        } else if (bandStart >= 0) {
+            const bandHeight = y - bandStart;
+            if (bandHeight >= minBandHeight && bandHeight <= maxBandHeight && (!band || bandTotal > band.total)) {
+                band = { top: bandStart, bottom: y, total: bandTotal };
+            }
+            bandStart = -1;
+        }
+    }
+    if (!band) return null;
+    
+    // Ink is anything that stands out from the band's background (light or dark print). The
+    // background is the band's median brightness: print covers less than half the band, while
+    // bold print on dark stout pulls the mean far enough to count the stout itself as ink.
+    const histogram = new Array(256).fill(0);
+    let bandCount = 0;
+    for (let y = band.top; y < band.bottom; y++) {
+        for (let x = searchLeft; x < searchRight; x++) {
+            histogram[Math.round(gray(x, y))]++;
+            bandCount++;
+        }
+    }
+    let background = 0;
+    let seen = histogram[0];
+    while (seen < bandCount / 2) {
+        background++;
+        seen += histogram[background];
+    }
+    const isInk = (x, y) => Math.abs(gray(x, y) - background) > 40;
+    
+    // Split the band into glyphs using columns that contain ink
+    const glyphs = [];
+    let glyphStart = -1;
+    let gap = 0;
+    for (let x = searchLeft; x <= searchRight; x++) {
+        let hasInk = false;
+        if (x < searchRight) {
+            for (let y = band.top; y < band.bottom && !hasInk; y++) {
+                hasInk = isInk(x, y);
+            }
+        }
+        if (hasInk) {
+            if (glyphStart < 0) glyphStart = x;
+            gap = 0;
+        } else if (glyphStart >= 0 && ++gap >= 2) {
+            glyphs.push({ left: glyphStart, right: x - gap + 1 });
+            glyphStart = -1;
+        }
+    }
+    
+    // A word needs several letters; the G is the first one
+    if (glyphs.length < 4) return null;
+    const glyph = glyphs[0];
+    
+    // Tighten the G's box to the rows that actually contain ink
+    let glyphTop = band.bottom;
+    let glyphBottom = band.top;
+    for (let y = band.top; y < band.bottom; y++) {
+        for (let x = glyph.left; x < glyph.right; x++) {
+            if (isInk(x, y)) {
+                glyphTop = Math.min(glyphTop, y);
+                glyphBottom = Math.max(glyphBottom, y + 1);
+                break;
+            }
+        }
+    }
+    const glyphHeight = glyphBottom - glyphTop;
+    if (glyphHeight < minBandHeight) return null;
+    
+    // The G's bar is the longest ink run in the right half, around the middle of the letter
+    const glyphMiddleX = Math.floor((glyph.left + glyph.right) / 2);
+    let barY = Math.round(glyphTop + glyphHeight / 2);
+    let longestRun = 0;
+    for (let y = Math.floor(glyphTop + glyphHeight * 0.35); y < Math.ceil(glyphTop + glyphHeight * 0.75); y++) {
+        let run = 0;
+        for (let x = glyphMiddleX; x < glyph.right; x++) {
+            run = isInk(x, y) ? run + 1 : 0;
+            if (run > longestRun) {
+                longestRun = run;
+                barY = y;
+            }
+        }
+    }
+    
+    return {
+        left: glyph.left,
+        right: glyph.right,
+        top: glyphTop,
+        bottom: glyphBottom,
+        barY: barY
+    };
+}
+
+// Convert glass boundaries into rounded beer and empty percentages
+export function getFillPercentages(glassTop, glassBottom, liquidLevel) {
+    const totalHeight = glassBottom - glassTop;
+    const beerHeight = glassBottom - liquidLevel;
+    const beerPercentage = Math.round((beerHeight / totalHeight) * 100);
+    
+    return {
+        beerPercentage: beerPercentage,
+        emptyPercentage: 100 - beerPercentage
+    };
+}
+
+// Y position of the target line for a given percentage up from the glass bottom
+export function getTargetY(glassTop, glassBottom, targetPercentage = DEFAULT_TARGET_PERCENTAGE) {
+    return Math.round(glassBottom - (glassBottom - glassTop) * (targetPercentage / 100));
+}
+
+// Run detection and scoring on a raw RGBA buffer and return a plain result object
+export function analyzeImage(imageData, width, height, options = {}) {
+    const settings = { ...defaultAnalysisOptions, ...options };
+    
+    // Find the glass first; without a convincing match the guide outline is scanned as before
+    let located = settings.locateGlass ? locateGlass(imageData, width, height) : null;
+    let pixels = imageData;
+    let rotation = 0;
+    let rotationCenter = null;
+    if (located && settings.straighten && Math.abs(located.rotation) >= locateLimits.minRotation) {
+        // Stand a leaning glass upright around its box centre, then locate it again: a steeply
+        // leaning rim spreads over too many rows to count towards the first box
+        rotation = located.rotation;
+        rotationCenter = {
+            x: width * (located.left + located.right) / 2,
+            y: height * (located.top + located.bottom) / 2
+        };
+        pixels = straightenImage(imageData, width, height, rotation, rotationCenter.x, rotationCenter.y);
+        located = locateGlass(pixels, width, height) || located;
+    }
+    
+    const analysis = analyzeBeerLevel(pixels, width, height, {
+        ...settings,
+        region: settings.region || located
+    });
+    
+    // Aim for the printed G when we can find it, otherwise fall back to the 60% rule
+    const glassHeight = analysis.glassBottom - analysis.glassTop;
+    const logo = findGLogo(pixels, width, height, analysis.glassTop, analysis.glassBottom, analysis.bounds);
+    let targetLogo = null;
+    if (logo) {
+        const logoPercentage = Math.round(((analysis.glassBottom - logo.barY) / glassHeight) * 100);
+        // Ignore matches that can't be a G on a pint (e.g. text in the background)
+        if (logoPercentage >= logoTargetRange.min && logoPercentage <= logoTargetRange.max) {
+            targetLogo = logo;
+        }
+    }
+    
+    return scoreAnalysis({
+        ...analysis,
+        width: width,
+        height: height,
+        logo: targetLogo,
+        // Detected glass box in pixels of the (straightened) frame, and how far it was turned
+        glassBox: located ? {
+            left: Math.round(width * located.left),
+            right: Math.round(width * located.right),
+            top: Math.round(height * located.top),
+            bottom: Math.round(height * located.bottom)
+        } : null,
+        rotation: rotation,
+        rotationCenter: rotationCenter,
+        manuallyAdjusted: false
+    });
+}
+
+// Work out percentages, target and score from an analysis's boundaries
+export function scoreAnalysis(analysis) {
+    const { glassTop, glassBottom, liquidLevel, logo } = analysis;
+    const { beerPercentage, emptyPercentage } = getFillPercentages(glassTop, glassBottom, liquidLevel);
+    
+    let targetPercentage = DEFAULT_TARGET_PERCENTAGE;
+    let targetY = getTargetY(glassTop, glassBottom, targetPercentage);
+    if (analysis.scoring.customTarget !== null) {
+        // A custom target replaces both the detected G and the 60% rule
+        targetPercentage = analysis.scoring.customTarget;
+        targetY = getTargetY(glassTop, glassBottom, targetPercentage);
+    } else if (logo) {
+        targetY = logo.barY;
+        targetPercentage = Math.round(((glassBottom - logo.barY) / (glassBottom - glassTop)) * 100);
+    }
+    
+    // Perspective-corrected height and volume; the score uses whichever the settings ask for
+    const measurements = getVolumeMeasurements({ ...analysis, targetY }, analysis.glassProfile, analysis.customTaper);
+    const scoredPercentage = analysis.scoreBy === 'volume'
+        ? measurements.volumePercentage
+        : measurements.heightPercentage;
+    const scoredTargetPercentage = analysis.scoreBy === 'volume'
+        ? measurements.targetVolumePercentage
+        : measurements.targetHeightPercentage;
+    
+    return {
+        ...analysis,
+        ...measurements,
+        beerPercentage: beerPercentage,
+        emptyPercentage: emptyPercentage,
+        targetPercentage: targetPercentage,
+        targetY: targetY,
+        scoredPercentage: scoredPercentage,
+        scoredTargetPercentage: scoredTargetPercentage,
+        score: calculateScore(scoredPercentage, scoredTargetPercentage, analysis.scoring)
+    };
+}
+
+// Apply hand-placed boundaries (glassTop, liquidLevel and/or glassBottom) and rescore.
+// The matching head zone boundary follows the liquid line so the zones stay consistent.
+export function adjustAnalysis(analysis, changes) {
+    const adjusted = { ...analysis, ...changes, manuallyAdjusted: true };
+    
+    if (adjusted.splitBoundary === 'head') {
+        adjusted.headTop = adjusted.liquidLevel;
+        adjusted.headBodyBoundary = Math.max(adjusted.headBodyBoundary, adjusted.headTop);
+    } else {
+        adjusted.headBodyBoundary = adjusted.liquidLevel;
+        adjusted.headTop = Math.min(adjusted.headTop, adjusted.headBodyBoundary);
+    }
+    adjusted.headTop = Math.max(adjusted.headTop, adjusted.glassTop);
+    
+    const glassHeight = adjusted.glassBottom - adjusted.glassTop;
+    adjusted.beerLevel = (adjusted.glassBottom - adjusted.liquidLevel) / glassHeight;
+    adjusted.headThickness = adjusted.headBodyBoundary - adjusted.headTop;
+    adjusted.headPercentage = Math.round((adjusted.headThickness / glassHeight) * 100);
+    
+    return scoreAnalysis(adjusted);
+}
@@ -1,3 +1,54 @@
+import { adjustAnalysis, detectionThresholds } from './analyzer.js';
+import { analyzeImageAsync } from './analysis-client.js';
+import {
+    drawDebugVisualization,
+    drawGlassBox,
+    drawLiquidZones,
+    drawTargetLine,
+    drawPercentageOverlay,
+    overlayPalettes
+} from './overlay.js';
+import { straightenImage } from './locate.js';
+import { drawInspector } from './inspector.js';
+import { createLiveTracker } from './live.js';
+import { captureBurst, combineBurst } from './burst.js';
+import { canRecordClips, recordClip, loadClipVideo, seekVideo, analyzeClip, findStableFrame } from './clip.js';
+import { createQualityMonitor } from './precheck.js';
+import {
+    resolutions,
+    listCameras,
+    stopStream,
+    openCamera,
+    getCameraCapabilities,
+    getActiveDeviceId,
+    setTorch,
+    setExposureCompensation,
+    setFocusMode,
+    focusAt,
+    applyCameraSettings
+} from './camera.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { createAttempt, updateAttempt, addAttempt, addAttempts, getAttempts, deleteAttempt } from './history.js';
+import { getDeviceKeys, createChallengeResult, encodeChallenge, decodeChallenge, isChallengeFragment } from './challenge.js';
+import { exportAttemptsJson, exportAttemptsCsv, parseAttemptsJson, findNewAttempts, downloadExport } from './export.js';
+import { groupByPlayer, getPlayerStats } from './stats.js';
+import { drawLineChart, seriesColors } from './chart.js';
+import { renderResultCard, shareResultCard } from './share.js';
+import { registerServiceWorker, watchInstallPrompt } from './pwa.js';
+import { scoringPresets, defaultScoringRules, getPreset } from './scoring.js';
+import { locales, detectLocale, setLocale, getLocale, t, formatNumber, formatPercent, translatePage } from './i18n.js';
+import {
+    createSession,
+    getCurrentPlayer,
+    recordTurn,
+    updateTurnResult,
+    getTurnResult,
+    getLeaderboard,
+    loadSession,
+    saveSession,
+    clearSession
+} from './session.js';
+
 // DOM Elements
 const video = document.getElementById('video');
 const canvas = document.getElementById('canvas');
@@ -5,26 +56,143 @@ const captureBtn = document.getElementById('captureBtn');
 const resultDiv = document.getElementById('result');
 const scoreSpan = document.getElementById('score');
 const feedbackP = document.getElementById('feedback');
+const percentageTextP = document.getElementById('percentageText');
+const announcer = document.getElementById('announcer');
+const errorPanel = document.getElementById('errorPanel');
+const errorMessageP = document.getElementById('errorMessage');
+const dismissErrorBtn = document.getElementById('dismissErrorBtn');
+const highContrastInput = document.getElementById('highContrastInput');
+const languageSelect = document.getElementById('languageSelect');
 const tryAgainBtn = document.getElementById('tryAgainBtn');
+const shareBtn = document.getElementById('shareBtn');
+const challengeBtn = document.getElementById('challengeBtn');
+const challengeLinkStatus = document.getElementById('challengeLinkStatus');
+const challengeOutcomeP = document.getElementById('challengeOutcome');
+const challengePanel = document.getElementById('challengePanel');
+const challengeThumbnail = document.getElementById('challengeThumbnail');
+const challengeSummary = document.getElementById('challengeSummary');
+const challengeRules = document.getElementById('challengeRules');
+const challengeVerification = document.getElementById('challengeVerification');
+const acceptChallengeBtn = document.getElementById('acceptChallengeBtn');
+const dismissChallengeBtn = document.getElementById('dismissChallengeBtn');
+const uploadBtn = document.getElementById('uploadBtn');
+const fileInput = document.getElementById('fileInput');
+const cameraContainer = document.querySelector('.camera-container');
+const liveBtn = document.getElementById('liveBtn');
+const recordBtn = document.getElementById('recordBtn');
+const clipUploadBtn = document.getElementById('clipUploadBtn');
+const clipInput = document.getElementById('clipInput');
+const clipDiv = document.getElementById('clip');
+const clipVideo = document.getElementById('clipVideo');
+const clipStatus = document.getElementById('clipStatus');
+const clipChart = document.getElementById('clipChart');
+const clipScrubber = document.getElementById('clipScrubber');
+const clipFrameInfo = document.getElementById('clipFrameInfo');
+const prevFrameBtn = document.getElementById('prevFrameBtn');
+const nextFrameBtn = document.getElementById('nextFrameBtn');
+const scoreFrameBtn = document.getElementById('scoreFrameBtn');
+const closeClipBtn = document.getElementById('closeClipBtn');
+const liveOverlay = document.getElementById('liveOverlay');
+const liveCue = document.getElementById('liveCue');
+const qualityStatus = document.getElementById('qualityStatus');
+const autoCaptureInput = document.getElementById('autoCaptureInput');
+const retakeDiv = document.getElementById('retake');
+const retakeHintsList = document.getElementById('retakeHints');
+const retakeBtn = document.getElementById('retakeBtn');
+const adjustManuallyBtn = document.getElementById('adjustManuallyBtn');
+const adjustedNote = document.getElementById('adjustedNote');
+const headInfoP = document.getElementById('headInfo');
+const splitBoundarySelect = document.getElementById('splitBoundarySelect');
+const glassProfileSelect = document.getElementById('glassProfileSelect');
+const customTaperSetting = document.getElementById('customTaperSetting');
+const customTaperInput = document.getElementById('customTaperInput');
+const scoreBySelect = document.getElementById('scoreBySelect');
+const volumeInfoP = document.getElementById('volumeInfo');
+const burstInfoP = document.getElementById('burstInfo');
+const burstCaptureInput = document.getElementById('burstCaptureInput');
+const inspectorDiv = document.getElementById('inspector');
+const inspectorChart = document.getElementById('inspectorChart');
+const inspectorSummary = document.getElementById('inspectorSummary');
+const thresholdInputs = document.querySelectorAll('[data-threshold]');
+const rerunBtn = document.getElementById('rerunBtn');
+const resetThresholdsBtn = document.getElementById('resetThresholdsBtn');
+const showInspectorInput = document.getElementById('showInspectorInput');
+const rulesInfoP = document.getElementById('rulesInfo');
+const scoringPresetSelect = document.getElementById('scoringPresetSelect');
+const customTargetInput = document.getElementById('customTargetInput');
+const underDrinkPenaltySelect = document.getElementById('underDrinkPenaltySelect');
+const overDrinkPenaltySelect = document.getElementById('overDrinkPenaltySelect');
+const historyRulesFilter = document.getElementById('historyRulesFilter');
+const playerNameInput = document.getElementById('playerName');
+const cameraSelect = document.getElementById('cameraSelect');
+const resolutionSelect = document.getElementById('resolutionSelect');
+const torchSetting = document.getElementById('torchSetting');
+const torchInput = document.getElementById('torchInput');
+const exposureSetting = document.getElementById('exposureSetting');
+const exposureInput = document.getElementById('exposureInput');
+const focusModeSetting = document.getElementById('focusModeSetting');
+const focusModeSelect = document.getElementById('focusModeSelect');
+const focusRing = document.getElementById('focusRing');
+const scoringView = document.getElementById('scoringView');
+const historyDiv = document.getElementById('history');
+const historyBtn = document.getElementById('historyBtn');
+const historyBackBtn = document.getElementById('historyBackBtn');
+const playerStatsBody = document.getElementById('playerStats');
+const trendChart = document.getElementById('trendChart');
+const attemptList = document.getElementById('attemptList');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportImagesInput = document.getElementById('exportImagesInput');
+const importBtn = document.getElementById('importBtn');
+const importInput = document.getElementById('importInput');
+const transferStatus = document.getElementById('transferStatus');
+const sessionBtn = document.getElementById('sessionBtn');
+const installBtn = document.getElementById('installBtn');
+const updateBanner = document.getElementById('updateBanner');
+const updateBtn = document.getElementById('updateBtn');
+const sessionSetupDiv = document.getElementById('sessionSetup');
+const addPlayerForm = document.getElementById('addPlayerForm');
+const sessionPlayerInput = document.getElementById('sessionPlayerInput');
+const sessionPlayerList = document.getElementById('sessionPlayerList');
+const sessionRoundsInput = document.getElementById('sessionRoundsInput');
+const startSessionBtn = document.getElementById('startSessionBtn');
+const cancelSessionBtn = document.getElementById('cancelSessionBtn');
+const sessionBanner = document.getElementById('sessionBanner');
+const sessionTurnDiv = document.getElementById('sessionTurn');
+const sessionScoreboard = document.getElementById('sessionScoreboard');
+const endSessionBtn = document.getElementById('endSessionBtn');
+const endSessionConfirm = document.getElementById('endSessionConfirm');
+const confirmEndSessionBtn = document.getElementById('confirmEndSessionBtn');
+const keepPlayingBtn = document.getElementById('keepPlayingBtn');
+const leaderboardDiv = document.getElementById('leaderboard');
+const leaderboardList = document.getElementById('leaderboardList');
+const closeLeaderboardBtn = document.getElementById('closeLeaderboardBtn');
 const emptyPercentageSpan = document.getElementById('emptyPercentage');
 const beerPercentageSpan = document.getElementById('beerPercentage');
 
 const ctx = canvas.getContext('2d');
 let stream = null;
+const settings = loadSettings();
+let session = loadSession();
+let lastResult = null;
+let capturedFrame = null;
+let rejectedAnalysis = null;
+let inspectedAnalysis = null;
+let recording = null;
+let clip = null;
+let clipRun = 0;
+let clipFrameRequest = 0;
+let challenge = null;
+let challengeAccepted = false;
+
+// Interface language: the saved choice, or the browser's preferred languages
+setLocale(settings.language || detectLocale());
+translatePage();
 
 // Set up canvas size
 let canvasWidth = 640;
 let canvasHeight = 480;
 
-// Define analysis regions (matching guide outline)
-const analysisRegions = {
-    left: 0.2,    // 20% from left
-    right: 0.8,   // 80% from left
-    top: 0.1,     // 10% from top
-    bottom: 0.9,  // 90% from top
-    targetY: 0.5  // Arrow position (50% from top)
-};
-
 // Function to resize canvas while maintaining aspect ratio
 function resizeCanvas() {
     const containerWidth = video.offsetWidth;
@@ -42,34 +210,44 @@ function resizeCanvas() {
 window.addEventListener('resize', resizeCanvas);
 resizeCanvas();
 
+// Errors are shown in an inline panel (announced as an alert) instead of a blocking dialog
+function showError(message) {
+    errorMessageP.textContent = message;
+    errorPanel.hidden = false;
+    dismissErrorBtn.focus();
+}
+
+function hideError() {
+    errorPanel.hidden = true;
+}
+
+dismissErrorBtn.addEventListener('click', hideError);
+
+// Read a message out to screen readers through the live region
+function announce(message) {
+    // Clear first so repeating the same message is still announced
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
+}
+
 // Check if we're on HTTPS or localhost
 if (window.location.protocol !== 'https:' && 
     !window.location.hostname.includes('localhost') && 
     !window.location.hostname.includes('127.0.0.1') &&
     !window.location.hostname.includes('0.0.0.0')) {
-    alert('This app requires HTTPS to access the camera. Please use HTTPS or localhost.');
+    showError(t('error.https'));
 }
 
 // Initialize camera
 async function initCamera() {
     try {
-        // First try the environment camera (back camera)
-        try {
-            stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    facingMode: { exact: "environment" },
-                    width: { ideal: 640 },
-                    height: { ideal: 480 }
-                }
-            });
-        } catch (backCameraError) {
-            console.log('Back camera failed, trying any camera:', backCameraError);
-            // If back camera fails, try any camera
-            stream = await navigator.mediaDevices.getUserMedia({
-                video: true
-            });
-        }
-
+        // Release the previous camera before opening another one
+        stopStream(stream);
+        stream = null;
+        stream = await openCamera(settings.camera);
+        
         video.srcObject = stream;
         
         // Wait for video to be ready
@@ -86,28 +264,331 @@ async function initCamera() {
         
         // Show capture button when camera is ready
         captureBtn.style.display = 'block';
+        recordBtn.style.display = canRecordClips() ? 'block' : 'none';
+        qualityMonitor.start();
         
+        // Fill in the camera list (labels only appear once permission is granted) and controls
+        await updateCameraControls();
+    
     } catch (err) {
         console.error('Error accessing camera:', err);
-        let errorMessage = 'Unable to access camera. ';
+        let errorMessage = t('error.camera');
         
         if (err.name === 'NotAllowedError') {
-            errorMessage += 'Please ensure you have granted camera permissions. You may need to:\n\n';
-            errorMessage += '1. Check site settings in your browser\n';
-            errorMessage += '2. Reload the page\n';
-            errorMessage += '3. If using Chrome, try clearing site settings and granting permissions again';
+            errorMessage += ' ' + t('error.cameraPermission');
         } else if (err.name === 'NotFoundError') {
-            errorMessage += 'No camera found on your device.';
+            errorMessage += ' ' + t('error.cameraNotFound');
         } else if (err.name === 'NotReadableError') {
-            errorMessage += 'Camera may be in use by another application.';
+            errorMessage += ' ' + t('error.cameraInUse');
         }
         
-        alert(errorMessage);
+        showError(errorMessage);
+    }
+}
+
+// Camera controls
+// Only the controls the current camera supports are shown
+async function updateCameraControls() {
+    const cameras = await listCameras();
+    const activeId = getActiveDeviceId(stream);
+    cameraSelect.innerHTML = '';
+    cameras.forEach((camera, index) => {
+        const option = document.createElement('option');
+        option.value = camera.deviceId;
+        option.textContent = camera.label || t('camera.fallbackName', { number: index + 1 });
+        cameraSelect.appendChild(option);
+    });
+    cameraSelect.value = activeId;
+    cameraSelect.disabled = cameras.length < 2;
+    
+    const capabilities = getCameraCapabilities(stream);
+    torchSetting.style.display = capabilities.torch ? 'flex' : 'none';
+    torchInput.checked = settings.camera.torch;
+    
+    const exposure = capabilities.exposureCompensation;
+    exposureSetting.style.display = exposure ? 'flex' : 'none';
+    if (exposure) {
+        exposureInput.min = exposure.min;
+        exposureInput.max = exposure.max;
+        exposureInput.step = exposure.step || 0.1;
+        exposureInput.value = settings.camera.exposureCompensation;
+    }
+    
+    const focusModes = capabilities.focusMode || [];
+    focusModeSetting.style.display = focusModes.includes('continuous') && focusModes.includes('manual') ? 'flex' : 'none';
+    focusModeSelect.value = settings.camera.focusMode;
+    
+    await applyCameraSettings(stream, settings.camera);
+}
+
+resolutionSelect.innerHTML = '';
+Object.keys(resolutions).forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = key.replace('x', ' × ');
+    resolutionSelect.appendChild(option);
+});
+resolutionSelect.value = settings.camera.resolution;
+
+cameraSelect.addEventListener('change', () => {
+    settings.camera.deviceId = cameraSelect.value;
+    saveSettings(settings);
+    initCamera();
+});
+
+resolutionSelect.addEventListener('change', () => {
+    settings.camera.resolution = resolutionSelect.value;
+    saveSettings(settings);
+    initCamera();
+});
+
+torchInput.addEventListener('change', () => {
+    settings.camera.torch = torchInput.checked;
+    saveSettings(settings);
+    setTorch(stream, settings.camera.torch);
+});
+
+exposureInput.addEventListener('input', () => {
+    settings.camera.exposureCompensation = parseFloat(exposureInput.value);
+    saveSettings(settings);
+    setExposureCompensation(stream, settings.camera.exposureCompensation);
+});
+
+focusModeSelect.addEventListener('change', () => {
+    settings.camera.focusMode = focusModeSelect.value;
+    saveSettings(settings);
+    setFocusMode(stream, settings.camera.focusMode);
+});
+
+// Tap the camera view to focus on that spot
+video.addEventListener('click', async (e) => {
+    if (!stream) return;
+    const rect = video.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = (e.clientY - rect.top) / rect.height;
+    
+    focusRing.style.left = (x * 100) + '%';
+    focusRing.style.top = (y * 100) + '%';
+    focusRing.style.display = 'block';
+    setTimeout(() => {
+        focusRing.style.display = 'none';
+    }, 800);
+    
+    const focused = await focusAt(stream, x, y);
+    // Go back to the chosen mode so the next shot isn't stuck on this point
+    if (focused && settings.camera.focusMode === 'continuous') {
+        setTimeout(() => setFocusMode(stream, 'continuous'), 3000);
+    }
+});
+
+// Keep the list current when a camera is plugged in or removed
+if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener('devicechange', () => {
+        if (stream) updateCameraControls();
+    });
+}
+
+// Settings panel
+splitBoundarySelect.value = settings.splitBoundary;
+splitBoundarySelect.addEventListener('change', () => {
+    settings.splitBoundary = splitBoundarySelect.value;
+    saveSettings(settings);
+});
+
+glassProfileSelect.value = settings.glassProfile;
+customTaperInput.value = Math.round(settings.customTaper * 100);
+customTaperSetting.style.display = settings.glassProfile === 'custom' ? 'flex' : 'none';
+glassProfileSelect.addEventListener('change', () => {
+    settings.glassProfile = glassProfileSelect.value;
+    customTaperSetting.style.display = settings.glassProfile === 'custom' ? 'flex' : 'none';
+    saveSettings(settings);
+});
+
+customTaperInput.addEventListener('change', () => {
+    settings.customTaper = customTaperInput.value / 100;
+    saveSettings(settings);
+});
+
+// Scoring rules
+scoringPresetSelect.value = settings.scoring.preset;
+customTargetInput.value = settings.scoring.customTarget === null ? '' : settings.scoring.customTarget;
+underDrinkPenaltySelect.value = settings.scoring.underDrinkPenalty;
+overDrinkPenaltySelect.value = settings.scoring.overDrinkPenalty;
+
+function updateScoringRules() {
+    const customTarget = parseInt(customTargetInput.value, 10);
+    settings.scoring = {
+        preset: scoringPresetSelect.value,
+        customTarget: Number.isNaN(customTarget) ? null : Math.min(95, Math.max(10, customTarget)),
+        underDrinkPenalty: parseFloat(underDrinkPenaltySelect.value),
+        overDrinkPenalty: parseFloat(overDrinkPenaltySelect.value)
+    };
+    saveSettings(settings);
+}
+
+[scoringPresetSelect, customTargetInput, underDrinkPenaltySelect, overDrinkPenaltySelect].forEach(control => {
+    control.addEventListener('change', updateScoringRules);
+});
+
+scoreBySelect.value = settings.scoreBy;
+scoreBySelect.addEventListener('change', () => {
+    settings.scoreBy = scoreBySelect.value;
+    saveSettings(settings);
+});
+
+// Language switch: 'Automatic' follows the browser's preferred languages
+Object.entries(locales).forEach(([code, locale]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = locale.name;
+    languageSelect.appendChild(option);
+});
+languageSelect.value = settings.language;
+languageSelect.addEventListener('change', () => {
+    settings.language = languageSelect.value;
+    saveSettings(settings);
+    setLocale(settings.language || detectLocale());
+    translatePage();
+    
+    // Text set from code isn't marked up in the page, so refresh it in the new language
+    liveBtn.textContent = liveTracker.isRunning() ? t('capture.stopLive') : t('capture.liveMode');
+    recordBtn.textContent = recording ? t('clip.stopRecording') : t('clip.record');
+    tryAgainBtn.textContent = getTryAgainLabel();
+    renderSessionBanner();
+    renderSessionPlayers();
+    renderChallenge();
+    if (lastResult && resultDiv.style.display !== 'none') {
+        displayResults(lastResult.analysis);
+    }
+    if (inspectedAnalysis) {
+        updateInspector(inspectedAnalysis);
+    }
+    if (historyDiv.style.display !== 'none') {
+        renderHistory();
     }
+    if (leaderboardDiv.style.display !== 'none') {
+        showLeaderboard();
+    }
+});
+
+// High-contrast colours for the percentage overlay
+highContrastInput.checked = settings.highContrast;
+highContrastInput.addEventListener('change', () => {
+    settings.highContrast = highContrastInput.checked;
+    saveSettings(settings);
+    if (lastResult && resultDiv.style.display !== 'none') {
+        renderResult(lastResult.analysis);
+    }
+});
+
+// Auto-capture takes the photo once the quality check passes
+autoCaptureInput.checked = settings.autoCapture;
+autoCaptureInput.addEventListener('change', () => {
+    settings.autoCapture = autoCaptureInput.checked;
+    saveSettings(settings);
+});
+
+// Burst capture grabs several frames per photo
+burstCaptureInput.checked = settings.burstCapture;
+burstCaptureInput.addEventListener('change', () => {
+    settings.burstCapture = burstCaptureInput.checked;
+    saveSettings(settings);
+});
+
+// Player name is remembered between visits
+playerNameInput.value = settings.playerName;
+playerNameInput.addEventListener('change', () => {
+    settings.playerName = playerNameInput.value.trim();
+    saveSettings(settings);
+});
+
+function getPlayerName() {
+    if (session) {
+        return getCurrentPlayer(session);
+    }
+    return playerNameInput.value.trim() || t('player.anonymous');
+}
+
+// Options passed to the analyzer for every frame and photo
+function getAnalysisOptions() {
+    return {
+        splitBoundary: settings.splitBoundary,
+        glassProfile: settings.glassProfile,
+        customTaper: settings.customTaper,
+        scoreBy: settings.scoreBy,
+        thresholds: settings.thresholds,
+        // A pub-night session keeps the rules it started with, and a challenge is played by the challenger's
+        scoring: session ? session.scoring : challengeAccepted ? challenge.result.scoring : settings.scoring
+    };
+}
+
+// Live tracking draws onto the overlay above the video
+const liveTracker = createLiveTracker(video, liveOverlay, getAnalysisOptions, (estimate) => {
+    if (estimate.searching) {
+        liveCue.textContent = t('live.searching');
+        liveCue.classList.remove('stop-now');
+        return;
+    }
+    liveCue.textContent = estimate.stopNow
+        ? t('live.stopNow')
+        : t('live.level', { beer: formatPercent(estimate.beerPercentage), target: formatPercent(estimate.targetPercentage) });
+    liveCue.classList.toggle('stop-now', estimate.stopNow);
+});
+
+// Start or stop live tracking
+function setLiveMode(enabled) {
+    if (enabled) {
+        liveTracker.start();
+    } else {
+        liveTracker.stop();
+    }
+    liveOverlay.style.display = enabled ? 'block' : 'none';
+    liveCue.style.display = enabled ? 'block' : 'none';
+    liveCue.textContent = '';
+    liveCue.classList.remove('stop-now');
+    liveBtn.textContent = enabled ? t('capture.stopLive') : t('capture.liveMode');
+}
+
+liveBtn.addEventListener('click', () => {
+    setLiveMode(!liveTracker.isRunning());
+});
+
+// Check the camera feed before capture and say what would spoil the photo
+// Only while the camera view is waiting for a photo
+function isQualityCheckActive() {
+    return stream !== null &&
+        video.style.display !== 'none' &&
+        captureBtn.style.display !== 'none' &&
+        !captureBtn.disabled &&
+        !liveTracker.isRunning();
+}
+
+function showQualityStatus(status) {
+    qualityStatus.style.display = status ? 'block' : 'none';
+    // Only touch the text when it changes so screen readers don't repeat it
+    const message = status ? t(`precheck.${status}`) : '';
+    if (qualityStatus.textContent !== message) {
+        qualityStatus.textContent = message;
+    }
+    qualityStatus.classList.toggle('ok', status === 'ok');
 }
 
+const qualityMonitor = createQualityMonitor(video, isQualityCheckActive, showQualityStatus, () => {
+    // Take the photo by itself once the shot has looked good for a moment
+    if (settings.autoCapture) {
+        captureBtn.click();
+    }
+});
+
 // Capture button handler
 captureBtn.addEventListener('click', () => {
+    setLiveMode(false);
+    
+    if (settings.burstCapture) {
+        processBurst();
+        return;
+    }
+    
     // Hide video and show canvas
     video.style.display = 'none';
     canvas.style.display = 'block';
@@ -119,6 +600,121 @@ captureBtn.addEventListener('click', () => {
     processImage();
 });
 
+// Upload button opens the file picker
+uploadBtn.addEventListener('click', () => {
+    fileInput.click();
+});
+
+fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    // Clear the input so picking the same file again still fires a change
+    fileInput.value = '';
+    if (file) {
+        loadImageFile(file);
+    }
+});
+
+// Drag and drop a photo or clip onto the camera area
+cameraContainer.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    cameraContainer.classList.add('drag-over');
+});
+
+cameraContainer.addEventListener('dragleave', () => {
+    cameraContainer.classList.remove('drag-over');
+});
+
+cameraContainer.addEventListener('drop', (event) => {
+    event.preventDefault();
+    cameraContainer.classList.remove('drag-over');
+    const file = event.dataTransfer.files[0];
+    if (file && file.type.startsWith('video/')) {
+        loadClip(file);
+    } else if (file) {
+        loadImageFile(file);
+    }
+});
+
+// Paste a photo from the clipboard
+document.addEventListener('paste', (event) => {
+    const items = event.clipboardData ? Array.from(event.clipboardData.items) : [];
+    const imageItem = items.find(item => item.kind === 'file' && item.type.startsWith('image/'));
+    if (imageItem) {
+        event.preventDefault();
+        loadImageFile(imageItem.getAsFile());
+    }
+});
+
+// Check whether a file looks like an image we can try to decode
+function isImageFile(file) {
+    // HEIC/HEIF files often arrive with an empty MIME type, so check the extension too
+    return file.type.startsWith('image/') || /\.(jpe?g|png|heic|heif|webp)$/i.test(file.name || '');
+}
+
+// Decode an image file into something drawable, applying EXIF orientation
+async function decodeImageFile(file) {
+    if (window.createImageBitmap) {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (bitmapError) {
+            console.log('createImageBitmap failed, trying <img> decode:', bitmapError);
+        }
+    }
+    
+    // Fall back to an <img> element, which also honours EXIF orientation in current browsers
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Draw an image into the canvas, scaled to fit and centred with black bars
+function drawLetterboxed(source, sourceWidth, sourceHeight) {
+    const scale = Math.min(canvas.width / sourceWidth, canvas.height / sourceHeight);
+    const drawWidth = Math.round(sourceWidth * scale);
+    const drawHeight = Math.round(sourceHeight * scale);
+    const offsetX = Math.floor((canvas.width - drawWidth) / 2);
+    const offsetY = Math.floor((canvas.height - drawHeight) / 2);
+    
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, offsetX, offsetY, drawWidth, drawHeight);
+}
+
+// Load an uploaded, dropped or pasted photo and run it through the same pipeline as a capture
+async function loadImageFile(file) {
+    if (!isImageFile(file)) {
+        showError(t('error.fileType'));
+        return;
+    }
+    
+    let image;
+    try {
+        image = await decodeImageFile(file);
+    } catch (err) {
+        console.error('Error decoding image:', err);
+        showError(t('error.fileDecode'));
+        return;
+    }
+    
+    setLiveMode(false);
+    resultDiv.style.display = 'none';
+    video.style.display = 'none';
+    canvas.style.display = 'block';
+    
+    drawLetterboxed(image, image.naturalWidth || image.width, image.naturalHeight || image.height);
+    if (image.close) {
+        image.close();
+    }
+    
+    processImage();
+}
+
 // Process image and calculate score
 async function processImage() {
     try {
@@ -128,492 +724,1296 @@ async function processImage() {
             throw new Error('Failed to get image data from canvas');
         }
         
-        // Find the beer level using color analysis
-        const analysis = analyzeBeerLevel(imageData.data, canvas.width, canvas.height);
+        // Keep the untouched photo so the overlays can be redrawn when lines are moved
+        capturedFrame = imageData;
+        
+        // Find the beer level using color analysis and score it
+        const analysis = await analyzeImageAsync(imageData, getAnalysisOptions());
         if (!analysis) {
             throw new Error('Failed to analyze beer level');
         }
         
-        window.lastAnalysis = analysis; // Store for use in drawPercentageOverlay
-        
-        // Draw debug visualization with glass boundaries first
-        drawDebugVisualization(
-            analysis.debugData,
-            analysis.glassTop,
-            analysis.glassBottom,
-            analysis.liquidLevel,
-            analysis.leftRimTop,
-            analysis.rightRimTop
-        );
-        
-        // Calculate G line position - exactly 60% up from bottom
-        const targetY = Math.round(analysis.glassBottom - (analysis.glassBottom - analysis.glassTop) * 0.6);
-        
-        // Draw target line and G marker
-        drawTargetLine(targetY);
-        
-        // Calculate score based on how close the beer percentage is to 60%
-        const score = calculateScore(analysis.liquidLevel, targetY);
-        
-        // Update percentages
-        const beerPercentage = Math.round(analysis.beerLevel * 100);
-        const emptyPercentage = 100 - beerPercentage;
-        
-        // Draw the percentage brackets and text
-        drawPercentageOverlay(beerPercentage, emptyPercentage);
-        
-        // Finally update the score display
-        displayResults(score, targetY);
+        showAnalysis(analysis);
+    
+    } catch (err) {
+        console.error('Error processing image:', err);
+        showError(t('error.processing'));
+        resetToCamera();
+    }
+}
+
+// Grab a burst of frames, analyse each and score the consensus on the sharpest agreeing frame
+async function processBurst() {
+    captureBtn.disabled = true;
+    captureBtn.textContent = t('capture.holdStill');
+    
+    try {
+        const frames = await captureBurst(video, canvas.width, canvas.height);
+        const options = getAnalysisOptions();
+        const analyses = await Promise.all(frames.map(frame => analyzeImageAsync(frame, options)));
+        const { frameIndex, analysis } = combineBurst(analyses);
         
-        // Hide capture button after first photo
-        captureBtn.style.display = 'none';
+        video.style.display = 'none';
+        canvas.style.display = 'block';
+        capturedFrame = frames[frameIndex];
+        ctx.putImageData(capturedFrame, 0, 0);
         
+        showAnalysis(analysis);
     } catch (err) {
-        console.error('Error processing image:', err);
-        alert('Error processing image. Please try again with better lighting and glass positioning.');
-        // Reset to camera view
-        canvas.style.display = 'none';
-        video.style.display = 'block';
-        captureBtn.style.display = 'block';
+        console.error('Error processing burst:', err);
+        showError(t('error.processing'));
+        resetToCamera();
+    } finally {
+        captureBtn.disabled = false;
+        captureBtn.textContent = t('capture.takePhoto');
     }
 }
 
-// Function to draw debug visualization
-function drawDebugVisualization(debugData, glassTop, glassBottom, liquidLevel, leftRimTop, rightRimTop) {
-    // Draw single rim line at the highest point
-    const highestRimPoint = Math.min(leftRimTop, rightRimTop);
-    ctx.beginPath();
-    ctx.strokeStyle = 'rgba(0, 255, 255, 1)'; // Full opacity cyan
-    ctx.lineWidth = 2;
-    
-    // Single rim line at highest point
-    ctx.moveTo(Math.floor(canvas.width * analysisRegions.left), highestRimPoint);
-    ctx.lineTo(Math.floor(canvas.width * analysisRegions.right), highestRimPoint);
-    ctx.stroke();
-    
-    // Bottom line
-    ctx.beginPath();
-    ctx.strokeStyle = 'rgba(0, 255, 255, 1)';
-    ctx.moveTo(Math.floor(canvas.width * analysisRegions.left), glassBottom);
-    ctx.lineTo(Math.floor(canvas.width * analysisRegions.right), glassBottom);
-    ctx.stroke();
-    
-    // Draw liquid level line
-    ctx.beginPath();
-    ctx.strokeStyle = 'rgba(255, 165, 0, 0.8)';
-    ctx.lineWidth = 2;
-    ctx.moveTo(Math.floor(canvas.width * analysisRegions.left), liquidLevel);
-    ctx.lineTo(Math.floor(canvas.width * analysisRegions.right), liquidLevel);
-    ctx.stroke();
-    
-    // Draw detection points
-    const pointWidth = 3;
-    for (let y = 0; y < canvas.height; y++) {
-        const intensity = debugData[y];
-        if (intensity > 0.1) {
-            ctx.fillStyle = `rgba(255, 0, 0, ${intensity})`;
-            ctx.fillRect(canvas.width - 25, y - pointWidth/2, 20, pointWidth);
-        }
+// Clips: film a pour or sip, follow the level through it and score the frame where it settled
+recordBtn.addEventListener('click', async () => {
+    if (recording) {
+        recording.stop();
+        return;
+    }
+    if (!stream) return;
+    
+    try {
+        recording = recordClip(stream);
+    } catch (err) {
+        console.error('Error starting recording:', err);
+        showError(t('error.clip'));
+        return;
+    }
+    recordBtn.textContent = t('clip.stopRecording');
+    
+    let blob = null;
+    try {
+        blob = await recording.finished;
+    } catch (err) {
+        console.error('Error recording clip:', err);
+        showError(t('error.clip'));
+    }
+    recording = null;
+    recordBtn.textContent = t('clip.record');
+    if (blob) {
+        loadClip(blob);
     }
+});
+
+clipUploadBtn.addEventListener('click', () => {
+    clipInput.click();
+});
+
+clipInput.addEventListener('change', () => {
+    const file = clipInput.files[0];
+    clipInput.value = '';
+    if (file) {
+        loadClip(file);
+    }
+});
+
+// Draw the clip's current frame into the canvas, letterboxed like an uploaded photo
+function grabClipFrame() {
+    drawLetterboxed(clipVideo, clipVideo.videoWidth, clipVideo.videoHeight);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
 }
 
-// Function to draw brackets and percentages on the image
-function drawPercentageOverlay(beerPercentage, emptyPercentage) {
-    // Add semi-transparent background for better text visibility
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    
-    // Get the current glass boundaries from the last analysis
-    const { glassTop, glassBottom, liquidLevel } = window.lastAnalysis || {};
-    if (!glassTop || !glassBottom || !liquidLevel) return;
-    
-    // Empty space bracket and percentage (from glass top to liquid)
-    ctx.beginPath();
-    ctx.strokeStyle = '#e74c3c'; // Red
-    ctx.lineWidth = 3;
-    // Left bracket for empty space
-    ctx.moveTo(10, glassTop);
-    ctx.lineTo(30, glassTop);
-    ctx.lineTo(30, liquidLevel);
-    ctx.lineTo(10, liquidLevel);
-    ctx.stroke();
-    
-    // Calculate new percentages based on actual glass boundaries
-    const totalHeight = glassBottom - glassTop;
-    const emptyHeight = liquidLevel - glassTop;
-    const beerHeight = glassBottom - liquidLevel;
-    const newEmptyPercentage = Math.round((emptyHeight / totalHeight) * 100);
-    const newBeerPercentage = Math.round((beerHeight / totalHeight) * 100);
-    
-    // Background for empty percentage
-    const emptyText = `${newEmptyPercentage}%`;
-    ctx.font = 'bold 24px Arial';
-    const emptyMetrics = ctx.measureText(emptyText);
-    const emptyY = glassTop + (liquidLevel - glassTop) / 2;
-    ctx.fillRect(35, emptyY - 20, emptyMetrics.width + 10, 30);
-    
-    // Empty percentage text
-    ctx.fillStyle = '#e74c3c';
-    ctx.fillText(emptyText, 40, emptyY);
-    
-    // Beer space bracket and percentage
-    ctx.beginPath();
-    ctx.strokeStyle = '#2ecc71'; // Green
-    // Left bracket for beer
-    ctx.moveTo(10, liquidLevel);
-    ctx.lineTo(30, liquidLevel);
-    ctx.lineTo(30, glassBottom);
-    ctx.lineTo(10, glassBottom);
-    ctx.stroke();
-    
-    // Background for beer percentage
-    const beerText = `${newBeerPercentage}%`;
-    const beerY = liquidLevel + (glassBottom - liquidLevel) / 2;
-    const beerMetrics = ctx.measureText(beerText);
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    ctx.fillRect(35, beerY - 20, beerMetrics.width + 10, 30);
-    
-    // Beer percentage text
-    ctx.fillStyle = '#2ecc71';
-    ctx.fillText(beerText, 40, beerY);
-}
-
-// Draw target line and G marker
-function drawTargetLine(targetY) {
-    // Draw G marker in the middle with enhanced visibility
-    ctx.font = 'bold 32px Arial'; // Larger, bolder font
-    ctx.fillStyle = '#FFFFFF'; // White color
-    
-    // Add subtle shadow for better contrast
-    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)'; // Darker shadow for white text
-    ctx.shadowBlur = 4;
-    ctx.shadowOffsetX = 2;
-    ctx.shadowOffsetY = 2;
-    
-    // Calculate center position
-    const centerX = Math.floor(canvas.width * (analysisRegions.left + analysisRegions.right) / 2);
-    ctx.textAlign = 'center'; // Center the text
-    ctx.textBaseline = 'middle'; // This will center the G vertically at the target point
-    ctx.fillText('G', centerX, targetY);
-    
-    // Reset shadow and text alignment
-    ctx.shadowColor = 'transparent';
-    ctx.shadowBlur = 0;
-    ctx.shadowOffsetX = 0;
-    ctx.shadowOffsetY = 0;
-    ctx.textAlign = 'start';
-    ctx.textBaseline = 'alphabetic';
-}
-
-// Analyze the beer level in the image
-function analyzeBeerLevel(imageData, width, height) {
-    const debugData = new Array(height).fill(0);
-    let edgeIntensityByRow = new Array(height).fill(0);
-    let leftEdgeIntensity = new Array(height).fill(0);
-    let rightEdgeIntensity = new Array(height).fill(0);
-    let liquidTransitionByRow = new Array(height).fill(0);
-    
-    // Sample the middle third of the guide area for liquid detection
-    const guideWidth = (analysisRegions.right - analysisRegions.left) * width;
-    const startX = Math.floor(width * analysisRegions.left + guideWidth * 0.33);
-    const endX = Math.floor(width * analysisRegions.left + guideWidth * 0.66);
-    const sampleWidth = endX - startX;
-    
-    // Define regions for left and right rim detection
-    const leftRegionStart = Math.floor(width * analysisRegions.left);
-    const leftRegionEnd = Math.floor(width * (analysisRegions.left + 0.1));
-    const rightRegionStart = Math.floor(width * (analysisRegions.right - 0.1));
-    const rightRegionEnd = Math.floor(width * analysisRegions.right);
-    
-    // Analysis boundaries
-    const startY = Math.floor(height * analysisRegions.top);
-    const endY = Math.floor(height * analysisRegions.bottom);
-    
-    // First pass: detect edges and potential liquid boundaries
-    for (let y = startY + 1; y < endY - 1; y++) {
-        // Scan left region for left rim
-        for (let x = leftRegionStart; x < leftRegionEnd; x++) {
-            const idx = (y * width + x) * 4;
-            const idxAbove = ((y - 1) * width + x) * 4;
-            const idxBelow = ((y + 1) * width + x) * 4;
-            
-            // Calculate brightness values
-            const brightness = (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
-            const brightnessAbove = (imageData[idxAbove] + imageData[idxAbove + 1] + imageData[idxAbove + 2]) / 3;
-            const brightnessBelow = (imageData[idxBelow] + imageData[idxBelow + 1] + imageData[idxBelow + 2]) / 3;
-            
-            const verticalEdge = Math.abs(brightness - brightnessAbove) + Math.abs(brightness - brightnessBelow);
-            const brightnessDiff = Math.abs(brightness - ((brightnessAbove + brightnessBelow) / 2));
-            
-            leftEdgeIntensity[y] += (verticalEdge > 30 || brightnessDiff > 20) ? 1 : 0;
-        }
-        
-        // Scan right region for right rim
-        for (let x = rightRegionStart; x < rightRegionEnd; x++) {
-            const idx = (y * width + x) * 4;
-            const idxAbove = ((y - 1) * width + x) * 4;
-            const idxBelow = ((y + 1) * width + x) * 4;
-            
-            const brightness = (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
-            const brightnessAbove = (imageData[idxAbove] + imageData[idxAbove + 1] + imageData[idxAbove + 2]) / 3;
-            const brightnessBelow = (imageData[idxBelow] + imageData[idxBelow + 1] + imageData[idxBelow + 2]) / 3;
-            
-            const verticalEdge = Math.abs(brightness - brightnessAbove) + Math.abs(brightness - brightnessBelow);
-            const brightnessDiff = Math.abs(brightness - ((brightnessAbove + brightnessBelow) / 2));
-            
-            rightEdgeIntensity[y] += (verticalEdge > 30 || brightnessDiff > 20) ? 1 : 0;
-        }
-        
-        // Scan middle region for liquid level
-        for (let x = startX; x < endX; x++) {
-            const idx = (y * width + x) * 4;
-            const idxAbove = ((y - 1) * width + x) * 4;
-            const idxBelow = ((y + 1) * width + x) * 4;
-            
-            const brightness = (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
-            const brightnessAbove = (imageData[idxAbove] + imageData[idxAbove + 1] + imageData[idxAbove + 2]) / 3;
-            const brightnessBelow = (imageData[idxBelow] + imageData[idxBelow + 1] + imageData[idxBelow + 2]) / 3;
-            
-            // For overall edge detection (used for bottom)
-            const verticalEdge = Math.abs(brightness - brightnessAbove) + Math.abs(brightness - brightnessBelow);
-            const brightnessDiff = Math.abs(brightness - ((brightnessAbove + brightnessBelow) / 2));
-            edgeIntensityByRow[y] += (verticalEdge > 30 || brightnessDiff > 20) ? 1 : 0;
-            
-            // For liquid level detection
-            const colorDiff = Math.abs(brightnessAbove - brightnessBelow);
-            liquidTransitionByRow[y] += colorDiff > 20 ? 1 : 0;
-        }
-        
-        // Normalize values
-        leftEdgeIntensity[y] /= (leftRegionEnd - leftRegionStart);
-        rightEdgeIntensity[y] /= (rightRegionEnd - rightRegionStart);
-        edgeIntensityByRow[y] /= sampleWidth;
-        liquidTransitionByRow[y] /= sampleWidth;
-        debugData[y] = liquidTransitionByRow[y];
-    }
-    
-    // Find left and right rim positions
-    let leftRimTop = height * analysisRegions.top;
-    let rightRimTop = height * analysisRegions.top;
-    let leftTopEdges = [];
-    let rightTopEdges = [];
-    
-    // Detect significant edges in the top portion of the guide area
-    const minEdgeStrength = 0.15;
-    const topSearchLimit = height * (analysisRegions.top + (analysisRegions.bottom - analysisRegions.top) * 0.3);
-    for (let y = Math.floor(height * analysisRegions.top); y < topSearchLimit; y++) {
-        if (leftEdgeIntensity[y] > minEdgeStrength) {
-            leftTopEdges.push({
-                position: y,
-                strength: leftEdgeIntensity[y]
-            });
-        }
-        if (rightEdgeIntensity[y] > minEdgeStrength) {
-            rightTopEdges.push({
-                position: y,
-                strength: rightEdgeIntensity[y]
-            });
+// Analyse a recorded or uploaded clip, then score the frame where the level settled
+async function loadClip(blob) {
+    closeClip();
+    setLiveMode(false);
+    resultDiv.style.display = 'none';
+    retakeDiv.style.display = 'none';
+    video.style.display = 'none';
+    canvas.style.display = 'block';
+    setCaptureControlsVisible(false);
+    setClipControlsEnabled(false);
+    clipFrameInfo.textContent = '';
+    clipDiv.style.display = 'block';
+    
+    // Closing the clip or loading another one abandons this analysis
+    const run = ++clipRun;
+    clip = { url: URL.createObjectURL(blob), timeline: [], index: -1 };
+    try {
+        await loadClipVideo(clipVideo, clip.url);
+        const options = getAnalysisOptions();
+        const timeline = await analyzeClip(
+            clipVideo,
+            grabClipFrame,
+            imageData => analyzeImageAsync(imageData, options),
+            () => run !== clipRun,
+            (partial, total) => {
+                clipStatus.textContent = t('clip.analysing', { done: partial.length, total: total });
+                clip.timeline = partial;
+                drawClipChart();
+            }
+        );
+        if (run !== clipRun) return;
+        if (timeline.length === 0) {
+            throw new Error('No frames could be read from the clip');
         }
+        clip.timeline = timeline;
+    } catch (err) {
+        if (run !== clipRun) return;
+        console.error('Error analysing clip:', err);
+        showError(t('error.clip'));
+        resetToCamera();
+        return;
     }
     
-    // Sort edges by strength for both sides
-    leftTopEdges.sort((a, b) => b.strength - a.strength);
-    rightTopEdges.sort((a, b) => b.strength - a.strength);
+    clipScrubber.max = clip.timeline.length - 1;
+    setClipControlsEnabled(true);
     
-    // Find the highest strong edge for each side (this will be the back rim)
-    if (leftTopEdges.length > 0) {
-        const strongLeftEdges = leftTopEdges.slice(0, 3);
-        leftRimTop = Math.min(...strongLeftEdges.map(edge => edge.position));
+    const stableIndex = findStableFrame(clip.timeline);
+    if (stableIndex < 0) {
+        clipStatus.textContent = t('clip.notSettled');
+        await showClipFrame(clip.timeline.length - 1);
+        return;
+    }
+    clipStatus.textContent = t('clip.settled', { time: formatClipTime(clip.timeline[stableIndex].time) });
+    if (await showClipFrame(stableIndex)) {
+        scoreClipFrame();
     }
+}
+
+function formatClipTime(time) {
+    return formatNumber(time, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+function setClipControlsEnabled(enabled) {
+    [clipScrubber, prevFrameBtn, nextFrameBtn, scoreFrameBtn].forEach(control => {
+        control.disabled = !enabled;
+    });
+}
+
+// Show one analysed frame of the clip with its detected lines. The score only changes
+// once the frame is scored, so the result is hidden meanwhile. Scoring waits for the seek,
+// which would otherwise score the previous frame. Resolves with whether the frame was shown.
+async function showClipFrame(index) {
+    const request = ++clipFrameRequest;
+    const { time, analysis } = clip.timeline[index];
+    clip.index = index;
+    clipScrubber.value = index;
+    scoreFrameBtn.disabled = true;
+    drawClipChart();
     
-    if (rightTopEdges.length > 0) {
-        const strongRightEdges = rightTopEdges.slice(0, 3);
-        rightRimTop = Math.min(...strongRightEdges.map(edge => edge.position));
+    try {
+        await seekVideo(clipVideo, time);
+    } catch (err) {
+        if (request !== clipFrameRequest || !clip) return false;
+        console.error('Error showing clip frame:', err);
+        showError(t('error.clip'));
+        return false;
+    }
+    // A newer scrub has taken over, or the clip was closed
+    if (request !== clipFrameRequest || !clip) return false;
+    
+    scoreFrameBtn.disabled = false;
+    capturedFrame = grabClipFrame();
+    resultDiv.style.display = 'none';
+    retakeDiv.style.display = 'none';
+    if (analysis.usable) {
+        renderResult(analysis);
+        clipFrameInfo.textContent = t('clip.frameLevel', {
+            time: formatClipTime(time),
+            beer: formatPercent(analysis.beerPercentage)
+        });
+    } else {
+        drawDebugVisualization(ctx, analysis);
+        clipFrameInfo.textContent = t('clip.frameUnclear', { time: formatClipTime(time) });
+    }
+    return true;
+}
+
+// Beer left over the length of the clip, with the target and the frame on show
+function drawClipChart() {
+    const usable = clip.timeline.filter(sample => sample.analysis.usable);
+    const series = [{
+        label: t('clip.beerLeft'),
+        color: seriesColors[0],
+        points: usable.map(sample => ({ x: sample.time, y: sample.analysis.beerPercentage }))
+    }];
+    
+    const selected = clip.timeline[clip.index];
+    if (usable.length > 0) {
+        const target = (selected && selected.analysis.usable ? selected : usable[0]).analysis.targetPercentage;
+        series.push({
+            label: t('clip.target'),
+            color: seriesColors[3],
+            points: [{ x: clip.timeline[0].time, y: target }, { x: clip.timeline[clip.timeline.length - 1].time, y: target }]
+        });
+    }
+    if (selected && selected.analysis.usable) {
+        series.push({
+            label: t('clip.selected'),
+            color: seriesColors[7],
+            points: [{ x: selected.time, y: selected.analysis.beerPercentage }]
+        });
+    }
+    drawLineChart(clipChart, series);
+}
+
+// Score the frame on show. Scoring another frame of the same clip (even after an unclear one)
+// replaces that score instead of adding a second attempt.
+function scoreClipFrame() {
+    const { analysis } = clip.timeline[clip.index];
+    if (analysis.usable && hasScoredSource()) {
+        replaceScoredResult(analysis);
+        return;
+    }
+    showAnalysis(analysis);
+}
+
+clipScrubber.addEventListener('input', () => {
+    showClipFrame(Number(clipScrubber.value));
+});
+
+prevFrameBtn.addEventListener('click', () => {
+    if (clip.index > 0) {
+        showClipFrame(clip.index - 1);
+    }
+});
+
+nextFrameBtn.addEventListener('click', () => {
+    if (clip.index < clip.timeline.length - 1) {
+        showClipFrame(clip.index + 1);
+    }
+});
+
+scoreFrameBtn.addEventListener('click', scoreClipFrame);
+
+// Stop any clip analysis and release the video
+function closeClip() {
+    clipRun++;
+    if (clip) {
+        URL.revokeObjectURL(clip.url);
+        clip = null;
+    }
+    clipVideo.removeAttribute('src');
+    clipVideo.load();
+    clipStatus.textContent = '';
+    clipDiv.style.display = 'none';
+}
+
+closeClipBtn.addEventListener('click', resetToCamera);
+
+// Score an analysis, or ask for a retake instead of scoring a photo the detector can't trust
+function showAnalysis(analysis) {
+    if (!analysis.usable) {
+        showRejectedAnalysis(analysis);
+        return;
     }
     
-    // Use only the highest rim position
-    const glassTop = Math.min(leftRimTop, rightRimTop);
+    showScoredResult(analysis);
+}
+
+// Draw what the detector found over the untouched photo and ask for a retake
+function showRejectedAnalysis(analysis) {
+    console.log('Rejected photo:', analysis.issues, 'confidence', analysis.confidence);
+    rejectedAnalysis = analysis;
+    ctx.putImageData(capturedFrame, 0, 0);
+    drawDebugVisualization(ctx, analysis);
+    updateInspector(analysis);
+    displayRetake(analysis);
+    setCaptureControlsVisible(false);
+}
+
+// Whether the photo or clip on screen has already been scored
+function hasScoredSource() {
+    return lastResult !== null && lastResult.source === (clip || capturedFrame);
+}
+
+// Replace the recorded score with a new analysis of the same photo or clip, the way dragging a
+// line does, so the photo, score and saved attempt stay in step
+function replaceScoredResult(analysis) {
+    rejectedAnalysis = null;
+    retakeDiv.style.display = 'none';
+    lastResult.analysis = analysis;
+    renderResult(analysis);
+    updateInspector(analysis);
+    displayResults(analysis);
+    announce(describeResult(analysis));
+    saveCorrection();
+}
+
+// Draw the annotated photo, show the score and record the attempt
+function showScoredResult(analysis) {
+    // For debugging
+    console.log('Beer Percentage:', analysis.beerPercentage + '%');
+    console.log('Difference from target:', Math.abs(analysis.beerPercentage - analysis.targetPercentage) + '%');
+    console.log('Score:', analysis.score);
+    
+    renderResult(analysis);
+    updateInspector(analysis);
     
-    // Find glass bottom (keeping existing logic as it works well)
-    let glassBottom = height * 0.75;
-    let maxEdgeStrength = 0;
+    // Finally update the score display
+    displayResults(analysis);
+    announce(describeResult(analysis));
+    
+    // Keep a record of the attempt
+    lastResult = {
+        analysis: analysis,
+        player: getPlayerName(),
+        attempt: null,
+        sessionResultIndex: -1,
+        // The photo or clip it was scored from; analysing that again replaces this result
+        source: clip || capturedFrame
+    };
+    saveAttempt(lastResult);
     
-    for (let y = Math.floor(height * 0.6); y < Math.floor(height * 0.9); y++) {
-        if (edgeIntensityByRow[y] > maxEdgeStrength) {
-            maxEdgeStrength = edgeIntensityByRow[y];
-            glassBottom = y;
+    // In a pub-night session the score counts for the current player's turn
+    if (session && !session.finished) {
+        recordTurn(session, analysis);
+        lastResult.sessionResultIndex = session.results.length - 1;
+        saveSession(session);
+        renderSessionBanner();
+        tryAgainBtn.textContent = getTryAgainLabel();
+    }
+    
+    // Hide capture and upload buttons after first photo
+    setCaptureControlsVisible(false);
+}
+
+// The captured photo the way it was analysed, with a leaning glass stood upright. Straightening
+// touches every pixel, so it is done once per photo and rotation rather than on every redraw
+// (dragging a line redraws for each pointer move).
+let straightenedFrame = null;
+
+function getAnalysedFrame(analysis) {
+    if (!analysis.rotation) {
+        return capturedFrame;
+    }
+    
+    const { x, y } = analysis.rotationCenter;
+    const cached = straightenedFrame;
+    if (!cached || cached.source !== capturedFrame || cached.rotation !== analysis.rotation || cached.x !== x || cached.y !== y) {
+        const pixels = straightenImage(capturedFrame.data, capturedFrame.width, capturedFrame.height, analysis.rotation, x, y);
+        straightenedFrame = {
+            source: capturedFrame,
+            rotation: analysis.rotation,
+            x: x,
+            y: y,
+            imageData: new ImageData(pixels, capturedFrame.width, capturedFrame.height)
+        };
+    }
+    return straightenedFrame.imageData;
+}
+
+// Redraw the captured photo with all overlays for an analysis
+function renderResult(analysis) {
+    ctx.putImageData(getAnalysedFrame(analysis), 0, 0);
+    
+    // Outline the located glass, shade the air, head and body zones, then draw the glass boundaries
+    drawGlassBox(ctx, analysis);
+    drawLiquidZones(ctx, analysis);
+    drawDebugVisualization(ctx, analysis);
+    
+    // Draw target line and G marker
+    drawTargetLine(ctx, analysis);
+    
+    // Draw the percentage brackets and text
+    drawPercentageOverlay(ctx, analysis, settings.highContrast ? overlayPalettes.highContrast : overlayPalettes.standard);
+}
+
+// Save a scored attempt, with a thumbnail of the annotated photo, to the local history.
+// Saving again after a correction replaces the stored attempt.
+async function saveAttempt(result) {
+    try {
+        result.attempt = result.attempt
+            ? updateAttempt(result.attempt, result.analysis, createThumbnail())
+            : createAttempt(result.analysis, result.player, createThumbnail());
+        await addAttempt(result.attempt);
+    } catch (err) {
+        console.error('Error saving attempt:', err);
+        showError(t('error.save'));
+    }
+}
+
+// Small JPEG copy of the annotated canvas
+function createThumbnail(width = 160, height = 120, quality = 0.7) {
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = width;
+    thumbnail.height = height;
+    thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+    return thumbnail.toDataURL('image/jpeg', quality);
+}
+
+// Show or hide the buttons that start a new capture
+function setCaptureControlsVisible(visible) {
+    const display = visible ? 'block' : 'none';
+    captureBtn.style.display = display;
+    uploadBtn.style.display = display;
+    liveBtn.style.display = display;
+    clipUploadBtn.style.display = display;
+    recordBtn.style.display = visible && stream && canRecordClips() ? 'block' : 'none';
+}
+
+// Hide any result and go back to the camera view
+function resetToCamera() {
+    closeClip();
+    resultDiv.style.display = 'none';
+    retakeDiv.style.display = 'none';
+    canvas.style.display = 'none';
+    video.style.display = 'block';
+    inspectorDiv.style.display = 'none';
+    inspectedAnalysis = null;
+    capturedFrame = null;
+    straightenedFrame = null;
+    setCaptureControlsVisible(true);
+}
+
+// Short label for a rule set, shown next to scores so results from different modes aren't mixed up
+function describeRules(rules) {
+    const settings = { ...defaultScoringRules, ...rules };
+    const preset = Object.hasOwn(scoringPresets, settings.preset) ? settings.preset : defaultScoringRules.preset;
+    const parts = [t(`rules.name.${preset}`)];
+    if (settings.customTarget !== null) {
+        parts.push(t('rules.customTarget', { target: settings.customTarget }));
+    }
+    if (settings.underDrinkPenalty !== 1) {
+        parts.push(t('rules.underDrinkPenalty', { penalty: settings.underDrinkPenalty }));
+    }
+    if (settings.overDrinkPenalty !== 1) {
+        parts.push(t('rules.overDrinkPenalty', { penalty: settings.overDrinkPenalty }));
+    }
+    return parts.join(' · ');
+}
+
+// Display results to user
+function displayResults(analysis) {
+    const { score, scoredPercentage, scoredTargetPercentage } = analysis;
+    scoreSpan.textContent = formatNumber(score, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    rulesInfoP.textContent = describeRules(analysis.scoring);
+    
+    // Each preset sets its own bar for each message
+    const [perfect, close, closer, adjusting] = getPreset(analysis.scoring).feedbackThresholds;
+    const direction = scoredPercentage < scoredTargetPercentage ? 'more' : 'less';
+    let feedback;
+    if (score >= perfect) {
+        feedback = t('result.perfect');
+    } else if (score >= close) {
+        feedback = t(`result.close.${direction}`);
+    } else if (score >= closer) {
+        feedback = t(`result.closer.${direction}`);
+    } else if (score >= adjusting) {
+        feedback = t(`result.adjusting.${direction}`);
+    } else {
+        feedback = t(`result.far.${direction}`);
+    }
+    
+    feedbackP.textContent = feedback;
+    
+    // Text equivalents of the percentages drawn on the photo
+    const percentages = t('result.percentages', {
+        beer: formatPercent(analysis.beerPercentage),
+        empty: formatPercent(analysis.emptyPercentage),
+        target: formatPercent(analysis.targetPercentage)
+    });
+    percentageTextP.textContent = percentages;
+    canvas.setAttribute('aria-label', t('result.photoLabel', { percentages: percentages }));
+    
+    headInfoP.textContent = t('result.head', { head: formatPercent(analysis.headPercentage), thickness: analysis.headThickness });
+    volumeInfoP.textContent = t(analysis.tiltDegrees > 0 ? 'result.volumeTilted' : 'result.volume', {
+        height: formatPercent(analysis.heightPercentage),
+        volume: formatPercent(analysis.volumePercentage),
+        profile: t(`profile.${analysis.glassProfile}`),
+        scoreBy: t(`result.scoreBy.${analysis.scoreBy}`),
+        tilt: analysis.tiltDegrees
+    });
+    adjustedNote.style.display = analysis.manuallyAdjusted ? 'block' : 'none';
+    
+    // How well the frames of a burst agreed
+    if (analysis.burst) {
+        const { frames, used, spread } = analysis.burst;
+        burstInfoP.textContent = t('result.burst', { count: frames, used: used, spread: formatPercent(spread) });
+        burstInfoP.style.display = 'block';
+    } else {
+        burstInfoP.style.display = 'none';
+    }
+    
+    // How the attempt compares with an accepted challenge
+    if (challengeAccepted) {
+        const { player, score: theirScore } = challenge.result;
+        const name = player || t('challenge.someone');
+        if (score > theirScore) {
+            challengeOutcomeP.textContent = t('challenge.won', { player: name, score: theirScore });
+        } else if (score === theirScore) {
+            challengeOutcomeP.textContent = t('challenge.tied', { player: name });
+        } else {
+            challengeOutcomeP.textContent = t('challenge.lost', { player: name, margin: theirScore - score });
         }
+        challengeOutcomeP.style.display = 'block';
+    } else {
+        challengeOutcomeP.style.display = 'none';
+    }
+    challengeLinkStatus.textContent = '';
+    hideError();
+    resultDiv.style.display = 'block';
+}
+
+// Spoken summary of a result: the score, which way to go next time and the fill
+function describeResult(analysis) {
+    const { score, scoredPercentage, scoredTargetPercentage } = analysis;
+    const [perfect] = getPreset(analysis.scoring).feedbackThresholds;
+    const direction = score >= perfect
+        ? t('announce.perfect')
+        : t(scoredPercentage < scoredTargetPercentage ? 'announce.more' : 'announce.less');
+    return t('announce.result', {
+        score: Math.round(score),
+        direction: direction,
+        beer: formatPercent(analysis.beerPercentage),
+        target: formatPercent(analysis.targetPercentage)
+    });
+}
+
+// Dragging the rim, liquid or bottom line on the result corrects the detection by hand
+const DRAG_TOLERANCE = 15; // Canvas pixels either side of a line that still grab it
+const MIN_LINE_GAP = 4;
+let draggedLine = null;
+
+// Pointer position in canvas pixels
+function getCanvasY(event) {
+    const rect = canvas.getBoundingClientRect();
+    return (event.clientY - rect.top) * (canvas.height / rect.height);
+}
+
+// The draggable line closest to y, if any is within reach
+function findLineNear(y) {
+    if (!lastResult || resultDiv.style.display === 'none') return null;
+    const { glassTop, liquidLevel, glassBottom } = lastResult.analysis;
+    const lines = [
+        { name: 'glassTop', y: glassTop },
+        { name: 'liquidLevel', y: liquidLevel },
+        { name: 'glassBottom', y: glassBottom }
+    ];
+    const closest = lines.reduce((best, line) => Math.abs(line.y - y) < Math.abs(best.y - y) ? line : best);
+    return Math.abs(closest.y - y) <= DRAG_TOLERANCE ? closest.name : null;
+}
+
+// Move a line, keeping rim above liquid above bottom
+function moveLine(name, y) {
+    const { glassTop, liquidLevel, glassBottom } = lastResult.analysis;
+    const limits = {
+        glassTop: [0, liquidLevel - MIN_LINE_GAP],
+        liquidLevel: [glassTop + MIN_LINE_GAP, glassBottom - MIN_LINE_GAP],
+        glassBottom: [liquidLevel + MIN_LINE_GAP, canvas.height - 1]
+    };
+    const [min, max] = limits[name];
+    const clampedY = Math.round(Math.min(max, Math.max(min, y)));
+    
+    lastResult.analysis = adjustAnalysis(lastResult.analysis, { [name]: clampedY });
+    renderResult(lastResult.analysis);
+    displayResults(lastResult.analysis);
+}
+
+canvas.addEventListener('pointerdown', (event) => {
+    draggedLine = findLineNear(getCanvasY(event));
+    if (draggedLine) {
+        event.preventDefault();
+        canvas.setPointerCapture(event.pointerId);
+    }
+});
+
+canvas.addEventListener('pointermove', (event) => {
+    const y = getCanvasY(event);
+    if (draggedLine) {
+        moveLine(draggedLine, y);
+    } else {
+        canvas.style.cursor = findLineNear(y) ? 'ns-resize' : '';
+    }
+});
+
+function endDrag() {
+    if (!draggedLine) return;
+    draggedLine = null;
+    
+    announce(t('announce.corrected', { summary: describeResult(lastResult.analysis) }));
+    saveCorrection();
+}
+
+// Store a corrected result wherever the original was recorded
+function saveCorrection() {
+    saveAttempt(lastResult);
+    if (session && lastResult.sessionResultIndex >= 0) {
+        updateTurnResult(session, lastResult.sessionResultIndex, lastResult.analysis);
+        saveSession(session);
+        renderSessionBanner();
+    }
+}
+
+canvas.addEventListener('pointerup', endDrag);
+canvas.addEventListener('pointercancel', endDrag);
+
+// Score a rejected photo anyway so its lines can be placed by hand
+adjustManuallyBtn.addEventListener('click', () => {
+    if (!rejectedAnalysis) return;
+    const analysis = adjustAnalysis(rejectedAnalysis, {});
+    rejectedAnalysis = null;
+    if (hasScoredSource()) {
+        replaceScoredResult(analysis);
+        return;
+    }
+    retakeDiv.style.display = 'none';
+    showScoredResult(analysis);
+});
+
+// Share button handler
+shareBtn.addEventListener('click', async () => {
+    if (!lastResult) return;
+    shareBtn.disabled = true;
+    try {
+        const card = renderResultCard(canvas, {
+            score: lastResult.analysis.score,
+            feedback: feedbackP.textContent,
+            rules: describeRules(lastResult.analysis.scoring),
+            player: lastResult.player,
+            date: new Date(),
+            manuallyAdjusted: lastResult.analysis.manuallyAdjusted
+        });
+        await shareResultCard(card, lastResult.analysis.score);
+    } catch (err) {
+        console.error('Error sharing result:', err);
+        showError(t('error.card'));
+    } finally {
+        shareBtn.disabled = false;
+    }
+});
+
+// Explain why a photo was rejected
+function displayRetake(analysis) {
+    retakeHintsList.innerHTML = '';
+    // Each issue the analyzer can report has a hint in the message catalogs
+    const hints = analysis.issues.length > 0
+        ? analysis.issues.map(issue => t(`retake.${issue}`))
+        : [t('retake.unclear')];
+    
+    hints.forEach(hint => {
+        const item = document.createElement('li');
+        item.textContent = hint;
+        retakeHintsList.appendChild(item);
+    });
+    
+    resultDiv.style.display = 'none';
+    retakeDiv.style.display = 'block';
+    announce(t('retake.announce', { hints: hints.join(' ') }));
+}
+
+// After a pub-night turn the button moves on to the next player or the leaderboard
+function getTryAgainLabel() {
+    if (!session || !lastResult || lastResult.sessionResultIndex < 0) {
+        return t('result.tryAgain');
+    }
+    return session.finished ? t('result.seeLeaderboard') : t('result.nextPlayer', { player: getCurrentPlayer(session) });
+}
+
+// Try again button handler
+tryAgainBtn.addEventListener('click', () => {
+    if (session && session.finished) {
+        showLeaderboard();
+        return;
+    }
+    tryAgainBtn.textContent = t('result.tryAgain');
+    resetToCamera();
+});
+
+// Retake button handler
+retakeBtn.addEventListener('click', resetToCamera);
+
+// Show one of the app's screens and hide the others
+function showView(view) {
+    [scoringView, historyDiv, sessionSetupDiv, leaderboardDiv].forEach(element => {
+        element.style.display = element === view ? 'block' : 'none';
+    });
+    if (view !== scoringView) {
+        setLiveMode(false);
+    }
+}
+
+// History screen
+historyBtn.addEventListener('click', showHistory);
+historyBackBtn.addEventListener('click', () => showView(scoringView));
+
+async function showHistory() {
+    historyRulesFilter.value = settings.scoring.preset;
+    showView(historyDiv);
+    await renderHistory();
+}
+
+// Attempts from before scoring presets existed were all scored with the classic rules
+function getAttemptPreset(attempt) {
+    return attempt.scoring ? attempt.scoring.preset : 'classic';
+}
+
+historyRulesFilter.addEventListener('change', renderHistory);
+
+async function renderHistory() {
+    let attempts = [];
+    try {
+        attempts = await getAttempts();
+    } catch (err) {
+        console.error('Error loading history:', err);
     }
     
-    // Find liquid level within the glass boundaries
-    let liquidLevel = glassBottom;
-    let maxTransition = 0;
-    const windowSize = 5;
-    const minColorDiff = 30; // Minimum color difference to consider as a transition
+    // Only compare attempts scored under the same rules
+    const preset = historyRulesFilter.value;
+    if (preset !== 'all') {
+        attempts = attempts.filter(attempt => getAttemptPreset(attempt) === preset);
+    }
     
-    // Start from the bottom and move up
-    for (let y = glassBottom - windowSize; y > glassTop + windowSize; y--) {
-        const currentWindow = [];
-        const aboveWindow = [];
+    renderPlayerStats(getPlayerStats(attempts));
+    renderTrendChart(attempts);
+    renderAttemptList(attempts);
+}
+
+// Per-player best, average and streaks
+function renderPlayerStats(stats) {
+    playerStatsBody.innerHTML = '';
+    stats.forEach(playerStats => {
+        const row = document.createElement('tr');
+        [
+            playerStats.player,
+            playerStats.attempts,
+            playerStats.best,
+            playerStats.average,
+            playerStats.currentStreak,
+            playerStats.longestStreak
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        playerStatsBody.appendChild(row);
+    });
+}
+
+// Score over time, one line per player
+function renderTrendChart(attempts) {
+    const series = [];
+    groupByPlayer(attempts).forEach((playerAttempts, player) => {
+        series.push({
+            label: player,
+            color: seriesColors[series.length % seriesColors.length],
+            points: playerAttempts.map(attempt => ({ x: attempt.timestamp, y: attempt.score }))
+        });
+    });
+    drawLineChart(trendChart, series);
+}
+
+// Every attempt, newest first, with a delete button
+function renderAttemptList(attempts) {
+    attemptList.innerHTML = '';
+    if (attempts.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = t('history.empty');
+        attemptList.appendChild(empty);
+        return;
+    }
+    
+    [...attempts].reverse().forEach(attempt => {
+        const item = document.createElement('li');
         
-        // Sample colors in the current window and window above
-        for (let x = startX; x < endX; x++) {
-            for (let wy = 0; wy < windowSize; wy++) {
-                const currentIdx = ((y + wy) * width + x) * 4;
-                const aboveIdx = ((y - windowSize + wy) * width + x) * 4;
-                
-                // Get RGB values
-                const currentR = imageData[currentIdx];
-                const currentG = imageData[currentIdx + 1];
-                const currentB = imageData[currentIdx + 2];
-                const aboveR = imageData[aboveIdx];
-                const aboveG = imageData[aboveIdx + 1];
-                const aboveB = imageData[aboveIdx + 2];
-                
-                // Calculate color values
-                currentWindow.push({
-                    brightness: (currentR + currentG + currentB) / 3,
-                    r: currentR,
-                    g: currentG,
-                    b: currentB
-                });
-                
-                aboveWindow.push({
-                    brightness: (aboveR + aboveG + aboveB) / 3,
-                    r: aboveR,
-                    g: aboveG,
-                    b: aboveB
-                });
-            }
+        // Attempts imported without photos have no thumbnail
+        const thumbnail = document.createElement('img');
+        if (attempt.thumbnail) {
+            thumbnail.src = attempt.thumbnail;
         }
+        thumbnail.alt = t('history.photoLabel', { player: attempt.player });
         
-        // Calculate average colors for both windows
-        const currentAvg = currentWindow.reduce((acc, val) => ({
-            brightness: acc.brightness + val.brightness,
-            r: acc.r + val.r,
-            g: acc.g + val.g,
-            b: acc.b + val.b
-        }), { brightness: 0, r: 0, g: 0, b: 0 });
-        
-        const aboveAvg = aboveWindow.reduce((acc, val) => ({
-            brightness: acc.brightness + val.brightness,
-            r: acc.r + val.r,
-            g: acc.g + val.g,
-            b: acc.b + val.b
-        }), { brightness: 0, r: 0, g: 0, b: 0 });
-        
-        const n = currentWindow.length;
-        currentAvg.brightness /= n;
-        currentAvg.r /= n;
-        currentAvg.g /= n;
-        currentAvg.b /= n;
-        aboveAvg.brightness /= n;
-        aboveAvg.r /= n;
-        aboveAvg.g /= n;
-        aboveAvg.b /= n;
+        const details = document.createElement('div');
+        details.className = 'attempt-details';
+        const summary = document.createElement('div');
+        // Attempts from before rule sets were stored were scored under the default rules
+        summary.textContent = t('history.summary', {
+            player: attempt.player,
+            score: attempt.score,
+            beer: formatPercent(attempt.beerPercentage),
+            rules: describeRules(attempt.scoring)
+        }) + (attempt.manuallyAdjusted ? ` · ${t('attempt.adjusted')}` : '');
+        const date = document.createElement('div');
+        date.className = 'attempt-date';
+        date.textContent = new Date(attempt.timestamp).toLocaleString(getLocale());
+        details.append(summary, date);
         
-        // Calculate color difference
-        const colorDiff = Math.abs(currentAvg.brightness - aboveAvg.brightness) +
-                         Math.abs(currentAvg.r - aboveAvg.r) +
-                         Math.abs(currentAvg.g - aboveAvg.g) +
-                         Math.abs(currentAvg.b - aboveAvg.b);
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-small';
+        deleteBtn.textContent = t('history.delete');
+        deleteBtn.addEventListener('click', async () => {
+            try {
+                await deleteAttempt(attempt.id);
+            } catch (err) {
+                console.error('Error deleting attempt:', err);
+                showError(t('error.delete'));
+            }
+            await renderHistory();
+        });
         
-        // Store for visualization
-        debugData[y] = colorDiff / 1000;
+        item.append(thumbnail, details, deleteBtn);
+        attemptList.appendChild(item);
+    });
+}
+
+// Export every stored attempt, whatever the rules filter shows
+exportJsonBtn.addEventListener('click', async () => {
+    try {
+        const attempts = await getAttempts();
+        downloadExport(exportAttemptsJson(attempts, exportImagesInput.checked), 'json', 'application/json');
+        transferStatus.textContent = t('history.exported', { count: attempts.length });
+    } catch (err) {
+        console.error('Error exporting attempts:', err);
+        showError(t('error.export'));
+    }
+});
+
+exportCsvBtn.addEventListener('click', async () => {
+    try {
+        const attempts = await getAttempts();
+        downloadExport(exportAttemptsCsv(attempts), 'csv', 'text/csv');
+        transferStatus.textContent = t('history.exported', { count: attempts.length });
+    } catch (err) {
+        console.error('Error exporting attempts:', err);
+        showError(t('error.export'));
+    }
+});
+
+// Import a JSON export, adding only attempts that aren't stored yet
+importBtn.addEventListener('click', () => importInput.click());
+
+importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    
+    try {
+        const { attempts, skipped } = parseAttemptsJson(await file.text());
+        const newAttempts = findNewAttempts(await getAttempts(), attempts);
+        await addAttempts(newAttempts);
         
-        // If we find a significant color transition
-        if (colorDiff > minColorDiff && colorDiff > maxTransition) {
-            maxTransition = colorDiff;
-            liquidLevel = y;
+        const parts = [t('history.imported', { count: newAttempts.length })];
+        if (attempts.length > newAttempts.length) {
+            parts.push(t('history.alreadyHere', { count: attempts.length - newAttempts.length }));
+        }
+        if (skipped > 0) {
+            parts.push(t('history.invalidSkipped', { count: skipped }));
         }
+        transferStatus.textContent = `${parts.join(', ')}.`;
+        await renderHistory();
+    } catch (err) {
+        console.error('Error importing attempts:', err);
+        // A rejected file says why; anything else (such as a failed save) gets the general message
+        showError(err.name === 'ImportError' ? t(`error.import.${err.code}`) : t('error.import.failed'));
+    }
+});
+
+// Pub-night session setup
+let sessionPlayers = [];
+
+sessionBtn.addEventListener('click', () => {
+    if (session) {
+        // A session is already running, so just go back to it
+        showView(scoringView);
+        return;
+    }
+    sessionPlayers = [];
+    renderSessionPlayers();
+    showView(sessionSetupDiv);
+    sessionPlayerInput.focus();
+});
+
+addPlayerForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const name = sessionPlayerInput.value.trim();
+    if (name && !sessionPlayers.includes(name)) {
+        sessionPlayers.push(name);
+        renderSessionPlayers();
+    }
+    sessionPlayerInput.value = '';
+    sessionPlayerInput.focus();
+});
+
+function renderSessionPlayers() {
+    sessionPlayerList.innerHTML = '';
+    sessionPlayers.forEach(name => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = name;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-small btn-secondary';
+        removeBtn.textContent = t('session.remove');
+        removeBtn.addEventListener('click', () => {
+            sessionPlayers = sessionPlayers.filter(player => player !== name);
+            renderSessionPlayers();
+        });
+        item.append(label, removeBtn);
+        sessionPlayerList.appendChild(item);
+    });
+    startSessionBtn.disabled = sessionPlayers.length === 0;
+}
+
+startSessionBtn.addEventListener('click', () => {
+    const rounds = Math.min(10, Math.max(1, parseInt(sessionRoundsInput.value, 10) || 1));
+    session = createSession(sessionPlayers, rounds, settings.scoring);
+    saveSession(session);
+    resetToCamera();
+    renderSessionBanner();
+    showView(scoringView);
+});
+
+cancelSessionBtn.addEventListener('click', () => showView(scoringView));
+
+// Round, whose turn it is and the round-by-round scoreboard
+function renderSessionBanner() {
+    if (!session) {
+        sessionBanner.style.display = 'none';
+        setEndSessionConfirmVisible(false);
+        playerNameInput.disabled = false;
+        return;
     }
     
-    // Calculate beer level as percentage from bottom
-    const glassHeight = glassBottom - glassTop;
-    const beerHeight = glassBottom - liquidLevel;
-    const beerLevel = beerHeight / glassHeight;
+    sessionBanner.style.display = 'block';
+    playerNameInput.disabled = true;
+    if (session.finished) {
+        sessionTurnDiv.textContent = t('session.finished');
+    } else {
+        playerNameInput.value = getCurrentPlayer(session);
+        sessionTurnDiv.textContent = t('session.turn', {
+            round: session.round,
+            rounds: session.rounds,
+            player: getCurrentPlayer(session)
+        });
+    }
+    sessionTurnDiv.textContent += ` (${describeRules(session.scoring)})`;
     
-    return {
-        beerLevel: beerLevel,
-        debugData: debugData,
-        glassTop: glassTop, // Use highest rim as glass top
-        glassBottom: glassBottom,
-        liquidLevel: liquidLevel,
-        leftRimTop: leftRimTop,
-        rightRimTop: rightRimTop
-    };
+    sessionScoreboard.innerHTML = '';
+    const header = document.createElement('tr');
+    const rounds = Array.from({ length: session.rounds }, (_, i) => t('session.round', { round: i + 1 }));
+    [t('player.label'), ...rounds, t('session.total')].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    sessionScoreboard.appendChild(header);
+    
+    const totals = new Map(getLeaderboard(session).map(standing => [standing.player, standing.total]));
+    session.players.forEach(player => {
+        const row = document.createElement('tr');
+        const cells = [player];
+        for (let round = 1; round <= session.rounds; round++) {
+            const result = getTurnResult(session, player, round);
+            cells.push(result ? result.score + (result.manuallyAdjusted ? '*' : '') : '–');
+        }
+        cells.push(totals.get(player));
+        cells.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        sessionScoreboard.appendChild(row);
+    });
 }
 
-// Calculate score based on how close the beer percentage is to 60%
-function calculateScore(liquidLevel, targetY) {
-    // Get the current beer percentage
-    const { glassTop, glassBottom } = window.lastAnalysis;
-    const totalHeight = glassBottom - glassTop;
-    const beerHeight = glassBottom - liquidLevel;
-    const beerPercentage = Math.round((beerHeight / totalHeight) * 100);
-    
-    // Calculate how far off from 60% we are
-    const percentageDifference = Math.abs(beerPercentage - 60);
-    
-    // New scoring algorithm with more forgiving scale
-    let score;
-    if (percentageDifference <= 2) {
-        // 58-62%: Very high scores (95-100%)
-        score = 100 - (percentageDifference * 2.5); // Each 1% off reduces score by 2.5
-    } else if (percentageDifference <= 5) {
-        // 55-65%: High scores (90-95%)
-        score = 95 - ((percentageDifference - 2) * 1.67); // Each 1% off reduces score by ~1.67
-    } else if (percentageDifference <= 10) {
-        // 50-70%: Good scores (80-90%)
-        score = 90 - ((percentageDifference - 5) * 2); // Each 1% off reduces score by 2
+// Ending a session with scores in it asks first, in the banner in place of the End button
+function setEndSessionConfirmVisible(visible) {
+    endSessionConfirm.style.display = visible ? 'block' : 'none';
+    endSessionBtn.style.display = visible ? 'none' : '';
+}
+
+endSessionBtn.addEventListener('click', () => {
+    if (session.results.length === 0) {
+        showLeaderboard();
+        return;
+    }
+    setEndSessionConfirmVisible(true);
+    confirmEndSessionBtn.focus();
+});
+
+confirmEndSessionBtn.addEventListener('click', () => {
+    setEndSessionConfirmVisible(false);
+    showLeaderboard();
+});
+
+keepPlayingBtn.addEventListener('click', () => {
+    setEndSessionConfirmVisible(false);
+    endSessionBtn.focus();
+});
+
+// Final standings; closing the leaderboard ends the session
+function showLeaderboard() {
+    leaderboardList.innerHTML = '';
+    getLeaderboard(session).forEach(standing => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = `${standing.rank}. ${standing.player}`;
+        const total = document.createElement('span');
+        total.textContent = t('leaderboard.standing', { total: standing.total, distance: formatPercent(standing.distance) });
+        item.append(name, total);
+        leaderboardList.appendChild(item);
+    });
+    showView(leaderboardDiv);
+}
+
+closeLeaderboardBtn.addEventListener('click', () => {
+    session = null;
+    clearSession();
+    playerNameInput.value = settings.playerName;
+    tryAgainBtn.textContent = t('result.tryAgain');
+    renderSessionBanner();
+    resetToCamera();
+    showView(scoringView);
+});
+
+// Detector inspector
+// Plots the signals behind the current photo's analysis when enabled in the settings
+function updateInspector(analysis) {
+    inspectedAnalysis = analysis;
+    if (!settings.showInspector) return;
+    
+    drawInspector(inspectorChart, analysis, canvas);
+    inspectorSummary.textContent = t('inspector.summary', {
+        confidence: analysis.confidence,
+        issues: analysis.issues.length > 0 ? analysis.issues.map(issue => t(`retake.${issue}`)).join(' ') : t('inspector.noIssues'),
+        beer: formatPercent(analysis.beerPercentage),
+        score: analysis.score
+    });
+    inspectorDiv.style.display = 'block';
+}
+
+// Re-run detection on the captured photo with the current thresholds. Once the photo has been
+// scored or rejected the re-run takes over: a usable one is scored (replacing an earlier score
+// of the same photo) and an unusable one asks for a retake. A clip frame that hasn't been
+// scored is only redrawn.
+async function rerunAnalysis() {
+    if (!capturedFrame) return;
+    const frame = capturedFrame;
+    let analysis;
+    try {
+        analysis = await analyzeImageAsync(frame, getAnalysisOptions());
+    } catch (err) {
+        console.error('Error re-running analysis:', err);
+        showError(t('error.processing'));
+        return;
+    }
+    
+    // Retaken or closed while the photo was being analysed
+    if (frame !== capturedFrame) return;
+    
+    if (resultDiv.style.display === 'none' && retakeDiv.style.display === 'none') {
+        if (analysis.usable) {
+            renderResult(analysis);
+        } else {
+            ctx.putImageData(capturedFrame, 0, 0);
+            drawDebugVisualization(ctx, analysis);
+        }
+        updateInspector(analysis);
+    } else if (!analysis.usable) {
+        showRejectedAnalysis(analysis);
+    } else if (hasScoredSource()) {
+        replaceScoredResult(analysis);
     } else {
-        // Beyond 10% difference: rapidly decreasing scores
-        score = Math.max(0, 80 - ((percentageDifference - 10) * 4)); // Each 1% off reduces score by 4
+        retakeDiv.style.display = 'none';
+        showScoredResult(analysis);
+    }
+}
+
+function fillThresholdInputs() {
+    thresholdInputs.forEach(input => {
+        input.value = settings.thresholds[input.dataset.threshold];
+    });
+}
+
+showInspectorInput.checked = settings.showInspector;
+fillThresholdInputs();
+
+showInspectorInput.addEventListener('change', () => {
+    settings.showInspector = showInspectorInput.checked;
+    saveSettings(settings);
+    if (!settings.showInspector) {
+        inspectorDiv.style.display = 'none';
+    } else if (inspectedAnalysis) {
+        updateInspector(inspectedAnalysis);
+    }
+});
+
+thresholdInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (!(value > 0)) {
+            input.value = settings.thresholds[input.dataset.threshold];
+            return;
+        }
+        settings.thresholds = { ...settings.thresholds, [input.dataset.threshold]: value };
+        saveSettings(settings);
+        rerunAnalysis();
+    });
+});
+
+rerunBtn.addEventListener('click', rerunAnalysis);
+
+resetThresholdsBtn.addEventListener('click', () => {
+    settings.thresholds = { ...detectionThresholds };
+    saveSettings(settings);
+    fillThresholdInputs();
+    rerunAnalysis();
+});
+
+// Keyboard shortcuts: Space takes the photo, R tries again, Escape closes an error
+document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'Escape' && !errorPanel.hidden) {
+        hideError();
+        return;
     }
     
-    // For debugging
-    console.log('Beer Percentage:', beerPercentage + '%');
-    console.log('Difference from 60%:', percentageDifference + '%');
-    console.log('Score:', score);
+    // Leave typing and the native controls' own keys alone
+    if (e.target.closest('input, select, textarea, button, summary')) return;
+    if (scoringView.style.display === 'none') return;
     
-    // Round to nearest integer
-    return Math.round(score);
+    if (e.key === ' ' && captureBtn.style.display !== 'none' && !captureBtn.disabled && video.style.display !== 'none') {
+        e.preventDefault();
+        captureBtn.click();
+    } else if (e.key === 'r' || e.key === 'R') {
+        if (retakeDiv.style.display !== 'none') {
+            retakeBtn.click();
+        } else if (resultDiv.style.display !== 'none') {
+            tryAgainBtn.click();
+        }
+    }
+});
+
+// Challenge links: a signed result in the URL fragment that a friend can try to beat
+challengeBtn.addEventListener('click', async () => {
+    if (!lastResult) return;
+    challengeBtn.disabled = true;
+    try {
+        // A smaller thumbnail keeps the link short enough for messaging apps
+        const result = createChallengeResult(lastResult.analysis, lastResult.player, createThumbnail(120, 90, 0.5));
+        const fragment = await encodeChallenge(result, await getDeviceKeys());
+        const link = location.origin + location.pathname + fragment;
+        
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: 'Split the G', text: t('challenge.shareText', { score: result.score }), url: link });
+                challengeLinkStatus.textContent = t('challenge.shared');
+                return;
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                console.log('Share failed, copying the link instead:', err);
+            }
+        }
+        await navigator.clipboard.writeText(link);
+        challengeLinkStatus.textContent = t('challenge.copied');
+    } catch (err) {
+        console.error('Error creating challenge:', err);
+        showError(t('error.challengeCreate'));
+    } finally {
+        challengeBtn.disabled = false;
+    }
+});
+
+// Open a challenge link from the address bar
+async function openChallengeLink() {
+    if (!isChallengeFragment(location.hash)) return;
+    const fragment = location.hash;
+    // Drop the fragment so reloading or sharing this page doesn't reopen the challenge
+    history.replaceState(null, '', location.pathname + location.search);
+    
+    try {
+        challenge = await decodeChallenge(fragment);
+    } catch (err) {
+        console.error('Error opening challenge:', err);
+        showError(t('error.challengeLink'));
+        return;
+    }
+    challengeAccepted = false;
+    renderChallenge();
+    showView(scoringView);
 }
 
-// Display results to user
-function displayResults(score, targetY) {
-    scoreSpan.textContent = score.toFixed(2);
+// The challenger's annotated result, what could be checked and the invitation to beat it
+function renderChallenge() {
+    if (!challenge) {
+        challengePanel.style.display = 'none';
+        return;
+    }
     
-    // Get current beer percentage for feedback
-    const { glassTop, glassBottom, liquidLevel } = window.lastAnalysis;
-    const totalHeight = glassBottom - glassTop;
-    const beerHeight = glassBottom - liquidLevel;
-    const beerPercentage = Math.round((beerHeight / totalHeight) * 100);
+    const { result, signatureValid, scoreValid, boundariesValid } = challenge;
+    const verified = signatureValid && scoreValid && boundariesValid;
+    const name = result.player || t('challenge.someone');
+    challengePanel.style.display = 'block';
+    challengePanel.classList.toggle('unverified', !verified);
     
-    let feedback;
-    if (score >= 95) {
-        feedback = "Perfect G split! You're a Guinness master! 🏆";
-    } else if (score >= 85) {
-        feedback = "Almost there! Need " + (beerPercentage < 60 ? "more" : "less") + " Guinness! 🎯";
-    } else if (score >= 70) {
-        feedback = "Getting closer! Pour " + (beerPercentage < 60 ? "more" : "less") + "! 🎯";
-    } else if (score >= 50) {
-        feedback = "Keep adjusting! Need " + (beerPercentage < 60 ? "more" : "less") + " beer! 🎯";
+    // Only image data URLs are shown; anything else in the link is ignored
+    const hasThumbnail = typeof result.thumbnail === 'string' && result.thumbnail.startsWith('data:image/');
+    challengeThumbnail.style.display = hasThumbnail ? 'block' : 'none';
+    if (hasThumbnail) {
+        challengeThumbnail.src = result.thumbnail;
+        challengeThumbnail.alt = t('challenge.photoLabel', { player: name });
+    }
+    
+    challengeSummary.textContent = t(challengeAccepted ? 'challenge.beat' : 'challenge.invite', { player: name, score: result.score });
+    challengeRules.textContent = `${describeRules(result.scoring)} · ${new Date(result.timestamp).toLocaleString(getLocale())}`;
+    
+    if (verified) {
+        challengeVerification.textContent = t('challenge.verified', { fingerprint: challenge.fingerprint });
     } else {
-        feedback = "Try again! You need much " + (beerPercentage < 60 ? "more" : "less") + " Guinness! 🎯";
+        const problems = [];
+        if (!signatureValid) problems.push(t('challenge.badSignature'));
+        if (!scoreValid) problems.push(t('challenge.badScore'));
+        if (!boundariesValid) problems.push(t('challenge.badBoundaries'));
+        challengeVerification.textContent = problems.join(' ');
     }
     
-    feedbackP.textContent = feedback;
-    resultDiv.style.display = 'block';
+    // Only a result that checks out is worth beating
+    acceptChallengeBtn.style.display = verified && !challengeAccepted ? 'inline-block' : 'none';
+    dismissChallengeBtn.textContent = challengeAccepted ? t('challenge.end') : t('challenge.dismiss');
 }
 
-// Try again button handler
-tryAgainBtn.addEventListener('click', () => {
-    resultDiv.style.display = 'none';
-    // Reset to camera view
-    canvas.style.display = 'none';
-    video.style.display = 'block';
-    captureBtn.style.display = 'block';
+acceptChallengeBtn.addEventListener('click', () => {
+    challengeAccepted = true;
+    renderChallenge();
+    resetToCamera();
+});
+
+dismissChallengeBtn.addEventListener('click', () => {
+    challenge = null;
+    challengeAccepted = false;
+    renderChallenge();
+    challengeOutcomeP.style.display = 'none';
+});
+
+window.addEventListener('hashchange', openChallengeLink);
+
+// Offline support: offer a reload when a new version has been downloaded
+let applyUpdate = null;
+registerServiceWorker((update) => {
+    applyUpdate = update;
+    updateBanner.style.display = 'flex';
+});
+
+updateBtn.addEventListener('click', () => {
+    updateBtn.disabled = true;
+    applyUpdate();
+});
+
+// Install to the home screen where the browser supports it
+let promptInstall = null;
+watchInstallPrompt((prompt) => {
+    promptInstall = prompt;
+    installBtn.style.display = 'inline-block';
+}, () => {
+    installBtn.style.display = 'none';
+});
+
+installBtn.addEventListener('click', async () => {
+    const installed = await promptInstall();
+    if (installed) {
+        installBtn.style.display = 'none';
+    }
 });
 
 // Initialize
+renderSessionBanner();
+if (session && session.finished) {
+    showLeaderboard();
+}
+openChallengeLink();
 initCamera();
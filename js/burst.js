@@ -0,0 +1,89 @@
+// Burst capture
+// Grabs several frames over about a second and combines their analyses, so motion blur or a
+// reflection in one frame doesn't decide the score.
+
+import { scoreAnalysis } from './analyzer.js';
+
+export const BURST_FRAMES = 6;
+export const BURST_DURATION = 1000; // ms from the first frame to the last
+
+// Frames whose level is further than this from the median (as a fraction of glass height,
+// or 3x the median absolute deviation if that is larger) are thrown out
+const MIN_OUTLIER_TOLERANCE = 0.03;
+
+// Grab frameCount frames from the video, spread evenly over duration
+export async function captureBurst(video, width, height, frameCount = BURST_FRAMES, duration = BURST_DURATION) {
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    const interval = duration / Math.max(1, frameCount - 1);
+    
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+        if (i > 0) {
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+        frameCtx.drawImage(video, 0, 0, width, height);
+        frames.push(frameCtx.getImageData(0, 0, width, height));
+    }
+    return frames;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Combine per-frame analyses into one result.
+// Returns the index of the frame to show (the sharpest one that agreed with the rest) and its
+// analysis with the liquid line moved to the median level of the agreeing frames.
+export function combineBurst(analyses) {
+    const usable = analyses
+        .map((analysis, index) => ({ analysis, index }))
+        .filter(frame => frame.analysis.usable);
+    
+    // Not enough to compare: fall back to the single most trustworthy frame
+    if (usable.length < 2) {
+        const bestIndex = analyses.reduce((best, analysis, index) =>
+            analysis.confidence > analyses[best].confidence ? index : best, 0);
+        return {
+            frameIndex: bestIndex,
+            analysis: {
+                ...analyses[bestIndex],
+                burst: { frames: analyses.length, used: usable.length, spread: 0 }
+            }
+        };
+    }
+    
+    // Throw out frames whose level disagrees with the rest
+    const medianLevel = median(usable.map(frame => frame.analysis.beerLevel));
+    const deviation = median(usable.map(frame => Math.abs(frame.analysis.beerLevel - medianLevel)));
+    const tolerance = Math.max(MIN_OUTLIER_TOLERANCE, deviation * 3);
+    const agreeing = usable.filter(frame => Math.abs(frame.analysis.beerLevel - medianLevel) <= tolerance);
+    
+    const levels = agreeing.map(frame => frame.analysis.beerLevel);
+    const consensusLevel = median(levels);
+    const spread = Math.round((Math.max(...levels) - Math.min(...levels)) * 100);
+    
+    // Annotate the sharpest agreeing frame, with its liquid line at the consensus level.
+    // The head zone moves with it so its thickness stays as detected in that frame.
+    const sharpest = agreeing.reduce((best, frame) =>
+        frame.analysis.sharpness > best.analysis.sharpness ? frame : best);
+    const { glassTop, glassBottom, liquidLevel, headTop, headBodyBoundary } = sharpest.analysis;
+    const consensusY = Math.round(glassBottom - consensusLevel * (glassBottom - glassTop));
+    const shift = consensusY - liquidLevel;
+    
+    return {
+        frameIndex: sharpest.index,
+        analysis: scoreAnalysis({
+            ...sharpest.analysis,
+            beerLevel: consensusLevel,
+            liquidLevel: consensusY,
+            headTop: Math.max(glassTop, headTop + shift),
+            headBodyBoundary: headBodyBoundary + shift,
+            burst: { frames: analyses.length, used: agreeing.length, spread: spread }
+        })
+    };
+}
@@ -0,0 +1,125 @@
+// Camera access and controls
+// Opening a chosen camera and resolution, plus torch, exposure and focus through
+// MediaStreamTrack.applyConstraints where the device supports them.
+
+export const resolutions = {
+    '640x480': { width: 640, height: 480 },
+    '1280x720': { width: 1280, height: 720 },
+    '1920x1080': { width: 1920, height: 1080 }
+};
+
+export const defaultCameraSettings = {
+    deviceId: '',              // Empty means "back camera if there is one"
+    resolution: '640x480',
+    torch: false,
+    exposureCompensation: 0,
+    focusMode: 'continuous'
+};
+
+// Video inputs on this device (labels are only filled in once permission has been granted)
+export async function listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter(device => device.kind === 'videoinput');
+}
+
+// Stop every track so the camera light goes off before another camera is opened
+export function stopStream(stream) {
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+}
+
+// Open the chosen camera, falling back to the back camera and then to any camera
+export async function openCamera(cameraSettings) {
+    const size = resolutions[cameraSettings.resolution] || resolutions['640x480'];
+    const sizeConstraints = {
+        width: { ideal: size.width },
+        height: { ideal: size.height }
+    };
+    
+    if (cameraSettings.deviceId) {
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                video: { deviceId: { exact: cameraSettings.deviceId }, ...sizeConstraints }
+            });
+        } catch (deviceError) {
+            console.log('Saved camera failed, trying the back camera:', deviceError);
+        }
+    }
+    
+    // First try the environment camera (back camera)
+    try {
+        return await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: { exact: 'environment' }, ...sizeConstraints }
+        });
+    } catch (backCameraError) {
+        console.log('Back camera failed, trying any camera:', backCameraError);
+        // If back camera fails, try any camera
+        return navigator.mediaDevices.getUserMedia({
+            video: true
+        });
+    }
+}
+
+function getVideoTrack(stream) {
+    return stream ? stream.getVideoTracks()[0] : null;
+}
+
+// What the current camera supports (empty where the browser can't tell us)
+export function getCameraCapabilities(stream) {
+    const track = getVideoTrack(stream);
+    return track && track.getCapabilities ? track.getCapabilities() : {};
+}
+
+// The device id actually in use, so it can be remembered
+export function getActiveDeviceId(stream) {
+    const track = getVideoTrack(stream);
+    return track && track.getSettings ? track.getSettings().deviceId || '' : '';
+}
+
+// Apply a set of advanced constraints, ignoring cameras that reject them
+async function applyAdvanced(stream, constraints) {
+    const track = getVideoTrack(stream);
+    if (!track || !track.applyConstraints) return false;
+    try {
+        await track.applyConstraints({ advanced: [constraints] });
+        return true;
+    } catch (err) {
+        console.log('Camera constraint not applied:', constraints, err);
+        return false;
+    }
+}
+
+export function setTorch(stream, enabled) {
+    return applyAdvanced(stream, { torch: enabled });
+}
+
+export function setExposureCompensation(stream, value) {
+    return applyAdvanced(stream, { exposureMode: 'continuous', exposureCompensation: value });
+}
+
+export function setFocusMode(stream, focusMode) {
+    return applyAdvanced(stream, { focusMode: focusMode });
+}
+
+// Focus on a point given as fractions (0-1) of the frame width and height
+export function focusAt(stream, x, y) {
+    return applyAdvanced(stream, { focusMode: 'single-shot', pointsOfInterest: [{ x: x, y: y }] });
+}
+
+// Re-apply the saved torch, exposure and focus choices after opening a camera
+export async function applyCameraSettings(stream, cameraSettings) {
+    const capabilities = getCameraCapabilities(stream);
+    if (capabilities.torch) {
+        await setTorch(stream, cameraSettings.torch);
+    }
+    if (capabilities.exposureCompensation) {
+        await setExposureCompensation(stream, cameraSettings.exposureCompensation);
+    }
+    if (capabilities.focusMode && capabilities.focusMode.includes(cameraSettings.focusMode)) {
+        await setFocusMode(stream, cameraSettings.focusMode);
+    }
+}
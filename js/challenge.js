@@ -0,0 +1,237 @@
+// Challenge links
+// Packs a result into a URL fragment signed with a key pair kept on this device, so a friend
+// can open it, check it hasn't been edited and try to beat it. No server is involved: the
+// signature proves the result came unchanged from whichever device holds the key, and the
+// key's fingerprint lets you recognise a challenger's device across links.
+
+import { scoreAnalysis, getFillPercentages, logoTargetRange } from './analyzer.js';
+import { scoringPresets, defaultScoringRules } from './scoring.js';
+import { glassProfiles } from './glass-profiles.js';
+
+const DB_NAME = 'split-the-g-keys';
+const DB_VERSION = 1;
+const STORE_NAME = 'keys';
+const DEVICE_KEY_ID = 'device';
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Fragment prefix; the link is #challenge=<format>.<payload>.<signature>.<public key>,
+// each part base64url-encoded. 'c1' payloads are deflated JSON, 'j1' plain JSON for
+// browsers without CompressionStream.
+const FRAGMENT_PREFIX = '#challenge=';
+const COMPRESSED_FORMAT = 'c1';
+const PLAIN_FORMAT = 'j1';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+async function runRequest(mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// This device's signing keys, generated on first use. The private key can't be exported,
+// so it never leaves the browser's key storage.
+export async function getDeviceKeys() {
+    const stored = await runRequest('readonly', store => store.get(DEVICE_KEY_ID));
+    if (stored) {
+        return stored;
+    }
+    const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+    const keys = { id: DEVICE_KEY_ID, privateKey: keyPair.privateKey, publicKey: keyPair.publicKey };
+    await runRequest('readwrite', store => store.put(keys));
+    return keys;
+}
+
+// The parts of a scored result a challenge carries: the score plus the lines and glass
+// geometry it can be recomputed from
+export function createChallengeResult(analysis, player, thumbnail) {
+    return {
+        player: player,
+        timestamp: Date.now(),
+        score: analysis.score,
+        beerPercentage: analysis.beerPercentage,
+        targetPercentage: analysis.targetPercentage,
+        glassTop: analysis.glassTop,
+        glassBottom: analysis.glassBottom,
+        liquidLevel: analysis.liquidLevel,
+        targetY: analysis.targetY,
+        rimCenterTop: analysis.rimCenterTop,
+        bounds: { left: analysis.bounds.left, right: analysis.bounds.right },
+        customTaper: analysis.customTaper,
+        scoreBy: analysis.scoreBy,
+        glassProfile: analysis.glassProfile,
+        scoring: analysis.scoring,
+        manuallyAdjusted: Boolean(analysis.manuallyAdjusted),
+        thumbnail: thumbnail
+    };
+}
+
+// Sign a challenge result and return the URL fragment for it
+export async function encodeChallenge(result, keys) {
+    const json = new TextEncoder().encode(JSON.stringify(result));
+    const compressed = typeof CompressionStream !== 'undefined';
+    const payload = compressed ? await transformBytes(json, new CompressionStream('deflate-raw')) : json;
+    
+    const signature = await crypto.subtle.sign(SIGN_ALGORITHM, keys.privateKey, payload);
+    const publicKey = await crypto.subtle.exportKey('raw', keys.publicKey);
+    
+    return FRAGMENT_PREFIX + [
+        compressed ? COMPRESSED_FORMAT : PLAIN_FORMAT,
+        toBase64Url(payload),
+        toBase64Url(signature),
+        toBase64Url(publicKey)
+    ].join('.');
+}
+
+export function isChallengeFragment(fragment) {
+    return fragment.startsWith(FRAGMENT_PREFIX);
+}
+
+// Read a challenge fragment. Throws if it can't be decoded at all; otherwise returns the result
+// with what checked out: the signature, and the score and fill recomputed from the boundaries.
+export async function decodeChallenge(fragment) {
+    const parts = fragment.slice(FRAGMENT_PREFIX.length).split('.');
+    if (parts.length !== 4 || (parts[0] !== COMPRESSED_FORMAT && parts[0] !== PLAIN_FORMAT)) {
+        throw new Error('This challenge link is incomplete or from a newer version of the app.');
+    }
+    
+    let result;
+    let publicKeyBytes;
+    let signatureValid;
+    try {
+        const payload = fromBase64Url(parts[1]);
+        const signature = fromBase64Url(parts[2]);
+        publicKeyBytes = fromBase64Url(parts[3]);
+        
+        // Check the signature before unpacking anything
+        const publicKey = await crypto.subtle.importKey('raw', publicKeyBytes, KEY_ALGORITHM, true, ['verify']);
+        signatureValid = await crypto.subtle.verify(SIGN_ALGORITHM, publicKey, signature, payload);
+        
+        const json = parts[0] === COMPRESSED_FORMAT
+            ? await transformBytes(payload, new DecompressionStream('deflate-raw'))
+            : payload;
+        result = JSON.parse(new TextDecoder().decode(json));
+    } catch (err) {
+        console.log('Could not read challenge:', err);
+        throw new Error('This challenge link is damaged. Ask for a new one.');
+    }
+    
+    return {
+        result: result,
+        fingerprint: await getFingerprint(publicKeyBytes),
+        signatureValid: signatureValid,
+        ...checkChallengeResult(result)
+    };
+}
+
+// Rules a link may name: a known preset and numeric target and penalties
+function isValidScoring(scoring) {
+    if (!scoring || typeof scoring !== 'object' || !Object.hasOwn(scoringPresets, scoring.preset)) {
+        return false;
+    }
+    const { customTarget, underDrinkPenalty, overDrinkPenalty } = scoring;
+    return (customTarget === undefined || customTarget === null || Number.isFinite(customTarget)) &&
+        [underDrinkPenalty, overDrinkPenalty].every(penalty => penalty === undefined || (Number.isFinite(penalty) && penalty > 0));
+}
+
+// The lines and glass geometry a result is scored from, or null if any of it is missing or odd
+function getChallengeGeometry(result) {
+    const numbers = ['glassTop', 'glassBottom', 'liquidLevel', 'targetY', 'customTaper'];
+    if (!result || numbers.some(field => !Number.isFinite(result[field]))) return null;
+    
+    const { bounds, rimCenterTop } = result;
+    if (!bounds || !Number.isFinite(bounds.left) || !Number.isFinite(bounds.right) || bounds.left >= bounds.right) return null;
+    if (rimCenterTop !== null && !Number.isFinite(rimCenterTop)) return null;
+    if (!Object.hasOwn(glassProfiles, result.glassProfile) || !['height', 'volume'].includes(result.scoreBy)) return null;
+    if (!(result.customTaper > 0 && result.customTaper <= 1) || !isValidScoring(result.scoring)) return null;
+    
+    const scoring = { ...defaultScoringRules, ...result.scoring };
+    return {
+        glassTop: result.glassTop,
+        glassBottom: result.glassBottom,
+        liquidLevel: result.liquidLevel,
+        rimCenterTop: rimCenterTop,
+        bounds: { left: bounds.left, right: bounds.right },
+        customTaper: result.customTaper,
+        glassProfile: result.glassProfile,
+        scoreBy: result.scoreBy,
+        scoring: scoring,
+        // Without a custom target the target line is where the G was found
+        logo: scoring.customTarget === null ? { barY: result.targetY } : null
+    };
+}
+
+// Recompute the score and fill from the lines and geometry the result was measured with.
+// The percentages in the link are never trusted: only the lines and the G's position go in.
+export function checkChallengeResult(result) {
+    const geometry = getChallengeGeometry(result);
+    if (!geometry || !Number.isFinite(result.score) || !Number.isFinite(result.beerPercentage)) {
+        return { scoreValid: false, boundariesValid: false };
+    }
+    
+    const { glassTop, liquidLevel, glassBottom } = geometry;
+    const linesInOrder = glassTop < liquidLevel && liquidLevel <= glassBottom &&
+        glassTop < result.targetY && result.targetY < glassBottom;
+    if (!linesInOrder) {
+        return { scoreValid: false, boundariesValid: false };
+    }
+    
+    const rescored = scoreAnalysis(geometry);
+    // A G can only be printed so high or low on the glass
+    const targetPlausible = geometry.logo === null ||
+        (rescored.targetPercentage >= logoTargetRange.min && rescored.targetPercentage <= logoTargetRange.max);
+    const { beerPercentage } = getFillPercentages(glassTop, glassBottom, liquidLevel);
+    return {
+        scoreValid: rescored.score === result.score,
+        boundariesValid: targetPlausible && beerPercentage === result.beerPercentage &&
+            rescored.targetPercentage === result.targetPercentage
+    };
+}
+
+// Short, readable SHA-256 fingerprint of a public key, e.g. "3f9a 1c07 b2e4"
+async function getFingerprint(publicKeyBytes) {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', publicKeyBytes));
+    const hex = Array.from(hash.slice(0, 6), byte => byte.toString(16).padStart(2, '0')).join('');
+    return hex.match(/.{4}/g).join(' ');
+}
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64Url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
@@ -0,0 +1,78 @@
+// Simple line charts drawn on a canvas
+// Each series is { label, color, points: [{ x, y }] }; x is scaled to the data, y to yMin-yMax.
+
+export const seriesColors = ['#e0b877', '#2ecc71', '#3498db', '#e74c3c', '#9b59b6', '#1abc9c', '#f39c12', '#ecf0f1'];
+
+export function drawLineChart(canvas, series, { yMin = 0, yMax = 100 } = {}) {
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = { left: 36, right: 10, top: 10, bottom: 24 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    
+    ctx.clearRect(0, 0, width, height);
+    
+    // Horizontal grid lines with y labels
+    ctx.font = '12px Arial';
+    ctx.fillStyle = '#888';
+    ctx.strokeStyle = '#444';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= 4; i++) {
+        const value = yMin + ((yMax - yMin) * i) / 4;
+        const y = padding.top + plotHeight - (plotHeight * i) / 4;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(width - padding.right, y);
+        ctx.stroke();
+        ctx.fillText(Math.round(value), padding.left - 6, y);
+    }
+    
+    const allX = series.flatMap(s => s.points.map(point => point.x));
+    if (allX.length === 0) {
+        ctx.textAlign = 'start';
+        ctx.textBaseline = 'alphabetic';
+        return;
+    }
+    const xMin = Math.min(...allX);
+    const xRange = Math.max(...allX) - xMin || 1;
+    const toCanvasX = x => padding.left + ((x - xMin) / xRange) * plotWidth;
+    const toCanvasY = y => padding.top + plotHeight - ((y - yMin) / (yMax - yMin)) * plotHeight;
+    
+    // One line per series, with dots on each point
+    series.forEach(s => {
+        ctx.strokeStyle = s.color;
+        ctx.fillStyle = s.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        s.points.forEach((point, i) => {
+            const x = toCanvasX(point.x);
+            const y = toCanvasY(point.y);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+        s.points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(toCanvasX(point.x), toCanvasY(point.y), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+    
+    // Legend along the bottom
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'alphabetic';
+    let legendX = padding.left;
+    series.forEach(s => {
+        ctx.fillStyle = s.color;
+        ctx.fillRect(legendX, height - 14, 10, 10);
+        ctx.fillStyle = '#ccc';
+        ctx.fillText(s.label, legendX + 14, height - 4);
+        legendX += ctx.measureText(s.label).width + 30;
+    });
+}
@@ -0,0 +1,148 @@
+// Clip analysis
+// Scores a split from a filmed pour or sip: analyses frames across a video, tracks the level
+// over time and picks the frame where it settled once drinking stopped.
+
+// Frames analysed per second of video; long clips are sampled more sparsely
+const SAMPLES_PER_SECOND = 4;
+const MAX_SAMPLES = 120;
+
+// Recordings stop by themselves after this long (ms)
+const MAX_RECORDING = 30000;
+
+// The level counts as settled when it stays within this fraction of the glass height...
+const STABLE_TOLERANCE = 0.02;
+// ...for at least this many seconds
+const STABLE_DURATION = 1;
+
+export function canRecordClips() {
+    return typeof MediaRecorder !== 'undefined';
+}
+
+// Start recording the camera stream. stop() ends the recording early; finished resolves with
+// the video Blob either way.
+export function recordClip(stream) {
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+            chunks.push(event.data);
+        }
+    };
+    
+    const finished = new Promise((resolve, reject) => {
+        recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+        recorder.onerror = (event) => reject(event.error);
+    });
+    
+    recorder.start();
+    const timer = setTimeout(stop, MAX_RECORDING);
+    
+    function stop() {
+        clearTimeout(timer);
+        if (recorder.state !== 'inactive') {
+            recorder.stop();
+        }
+    }
+    
+    return {
+        stop: stop,
+        finished: finished
+    };
+}
+
+// Resolve on the video's next eventName, reject if it fails to load first. With failOnEmptied
+// it also rejects when the source is removed (the clip was closed), which ends a pending seek.
+function waitForVideo(video, eventName, failOnEmptied = false) {
+    const failEvents = failOnEmptied ? ['error', 'emptied'] : ['error'];
+    return new Promise((resolve, reject) => {
+        const removeListeners = () => {
+            video.removeEventListener(eventName, onEvent);
+            failEvents.forEach(name => video.removeEventListener(name, onFail));
+        };
+        const onEvent = () => {
+            removeListeners();
+            resolve();
+        };
+        const onFail = () => {
+            removeListeners();
+            reject(video.error || new Error('Video was closed before it was ready'));
+        };
+        video.addEventListener(eventName, onEvent);
+        failEvents.forEach(name => video.addEventListener(name, onFail));
+    });
+}
+
+// Load a clip and wait until it can be seeked. Recordings from MediaRecorder often report an
+// infinite duration until the end has been seeked to once.
+export async function loadClipVideo(video, url) {
+    const loaded = waitForVideo(video, 'loadedmetadata');
+    video.src = url;
+    await loaded;
+    
+    if (video.duration === Infinity) {
+        await seekVideo(video, Number.MAX_SAFE_INTEGER);
+    }
+    await seekVideo(video, 0);
+}
+
+// Show the frame at time (s) and resolve once it can be drawn; rejects if the clip is closed first
+export async function seekVideo(video, time) {
+    const seeked = waitForVideo(video, 'seeked', true);
+    video.currentTime = time;
+    await seeked;
+}
+
+// Evenly spaced times to analyse, each in the middle of its slice of the clip
+export function getSampleTimes(duration) {
+    const count = Math.max(1, Math.min(MAX_SAMPLES, Math.floor(duration * SAMPLES_PER_SECOND)));
+    const step = duration / count;
+    return Array.from({ length: count }, (_, i) => (i + 0.5) * step);
+}
+
+// Analyse the clip at every sample time and return the timeline [{ time, analysis }].
+// grabFrame() returns the current video frame as ImageData and analyze(imageData) resolves with
+// its analysis. Stops early when isCancelled() returns true; onProgress(timeline, total) is
+// called after each frame.
+export async function analyzeClip(video, grabFrame, analyze, isCancelled, onProgress) {
+    const times = getSampleTimes(video.duration);
+    const timeline = [];
+    for (const time of times) {
+        await seekVideo(video, time);
+        if (isCancelled()) break;
+        
+        const analysis = await analyze(grabFrame());
+        if (isCancelled()) break;
+        
+        timeline.push({ time: time, analysis: analysis });
+        onProgress(timeline, times.length);
+    }
+    return timeline;
+}
+
+// Index of the frame to score: the sharpest frame of the last stretch where the level held
+// steady, which is where drinking (or pouring) stopped. -1 if the level never settled.
+export function findStableFrame(timeline) {
+    const usable = timeline
+        .map((sample, index) => ({ ...sample, index }))
+        .filter(sample => sample.analysis.usable);
+    
+    for (let end = usable.length - 1; end > 0; end--) {
+        // Grow the stretch backwards while the level stays within the tolerance
+        let low = usable[end].analysis.beerLevel;
+        let high = low;
+        let start = end;
+        while (start > 0) {
+            const level = usable[start - 1].analysis.beerLevel;
+            if (Math.max(high, level) - Math.min(low, level) > STABLE_TOLERANCE) break;
+            low = Math.min(low, level);
+            high = Math.max(high, level);
+            start--;
+        }
+        
+        if (usable[end].time - usable[start].time >= STABLE_DURATION) {
+            return usable.slice(start, end + 1).reduce((best, sample) =>
+                sample.analysis.sharpness > best.analysis.sharpness ? sample : best).index;
+        }
+    }
+    return -1;
+}
@@ -0,0 +1,170 @@
+// Attempt export and import
+// Writes the stored history to a versioned JSON file (for moving between devices) or a flat CSV
+// (for spreadsheets), and reads JSON exports back in after checking them.
+
+export const EXPORT_FORMAT = 'split-the-g-attempts';
+export const EXPORT_VERSION = 1;
+
+// Stored attempt fields and the type each must have. Attempts saved by older versions of the
+// app may lack some of them, so only id, player, timestamp and score are required.
+const attemptSchema = {
+    id: 'string',
+    player: 'string',
+    timestamp: 'number',
+    score: 'number',
+    beerPercentage: 'number',
+    targetPercentage: 'number',
+    glassTop: 'number',
+    glassBottom: 'number',
+    liquidLevel: 'number',
+    headTop: 'number',
+    headBodyBoundary: 'number',
+    headThickness: 'number',
+    leftRimTop: 'number',
+    rightRimTop: 'number',
+    splitBoundary: 'string',
+    heightPercentage: 'number',
+    volumePercentage: 'number',
+    glassProfile: 'string',
+    scoreBy: 'string',
+    scoring: 'object',
+    tiltDegrees: 'number',
+    manuallyAdjusted: 'boolean',
+    thumbnail: 'string'
+};
+
+const REQUIRED_FIELDS = ['id', 'player', 'timestamp', 'score'];
+
+// CSV columns in order; the scoring rules are spread over their own columns
+const csvColumns = [
+    'id', 'player', 'date', 'score', 'beerPercentage', 'targetPercentage',
+    'heightPercentage', 'volumePercentage', 'glassTop', 'glassBottom', 'liquidLevel',
+    'headTop', 'headBodyBoundary', 'headThickness', 'leftRimTop', 'rightRimTop',
+    'splitBoundary', 'glassProfile', 'scoreBy', 'scoringPreset', 'customTarget',
+    'underDrinkPenalty', 'overDrinkPenalty', 'tiltDegrees', 'manuallyAdjusted'
+];
+
+// JSON text of every attempt, with or without the photo thumbnails (data URLs)
+export function exportAttemptsJson(attempts, includeImages) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        attempts: attempts.map(attempt => {
+            if (includeImages) return attempt;
+            const { thumbnail, ...rest } = attempt;
+            return rest;
+        })
+    }, null, 2);
+}
+
+// CSV text with one row per attempt; photos are left out
+export function exportAttemptsCsv(attempts) {
+    const rows = attempts.map(attempt => {
+        const scoring = attempt.scoring || {};
+        const values = {
+            ...attempt,
+            date: new Date(attempt.timestamp).toISOString(),
+            scoringPreset: scoring.preset,
+            customTarget: scoring.customTarget,
+            underDrinkPenalty: scoring.underDrinkPenalty,
+            overDrinkPenalty: scoring.overDrinkPenalty
+        };
+        return csvColumns.map(column => escapeCsv(values[column])).join(',');
+    });
+    return [csvColumns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Quote values containing separators, quotes or line breaks; missing values stay empty.
+// Text starting like a formula (a player named "=1+1") is prefixed so spreadsheets show it as text.
+function escapeCsv(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A rejected import file. The code ('invalid-json', 'not-export' or 'newer-version') picks
+// the message the app shows; the English text is only for the console.
+function createImportError(code, message) {
+    const err = new Error(message);
+    err.name = 'ImportError';
+    err.code = code;
+    return err;
+}
+
+// Read a JSON export. Throws an ImportError if the file isn't one; attempts that fail the
+// schema are skipped and counted. Returns { attempts, skipped }.
+export function parseAttemptsJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw createImportError('invalid-json', 'This file is not valid JSON.');
+    }
+    
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.attempts)) {
+        throw createImportError('not-export', 'This file is not a Split the G export.');
+    }
+    if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+        throw createImportError('newer-version', 'This export was made by a newer version of the app.');
+    }
+    
+    const attempts = [];
+    let skipped = 0;
+    data.attempts.forEach(entry => {
+        const attempt = validateAttempt(entry);
+        if (attempt) {
+            attempts.push(attempt);
+        } else {
+            skipped++;
+        }
+    });
+    return { attempts: attempts, skipped: skipped };
+}
+
+// A clean copy of an imported attempt holding only known fields, or null if it is invalid
+function validateAttempt(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    
+    const attempt = {};
+    for (const [field, type] of Object.entries(attemptSchema)) {
+        const value = entry[field];
+        if (value === undefined || value === null) {
+            if (REQUIRED_FIELDS.includes(field)) return null;
+            continue;
+        }
+        if (typeof value !== type) return null;
+        if (type === 'number' && !Number.isFinite(value)) return null;
+        attempt[field] = value;
+    }
+    
+    // Only image data URLs are shown as thumbnails
+    if (attempt.thumbnail !== undefined && !attempt.thumbnail.startsWith('data:image/')) {
+        delete attempt.thumbnail;
+    }
+    if (!attempt.id) return null;
+    return attempt;
+}
+
+// Imported attempts not already stored, by id, so importing the same file twice adds nothing
+export function findNewAttempts(existing, imported) {
+    const knownIds = new Set(existing.map(attempt => attempt.id));
+    return imported.filter(attempt => {
+        if (knownIds.has(attempt.id)) return false;
+        knownIds.add(attempt.id);
+        return true;
+    });
+}
+
+// Save export text as a file named split-the-g-attempts-<date>.<extension>
+export function downloadExport(text, extension, type) {
+    const date = new Date().toISOString().slice(0, 10);
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `split-the-g-attempts-${date}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,112 @@
+// Glass profiles and perspective correction
+// A profile describes the glass's inner radius (relative to its widest point) at each height,
+// which turns a fill height into a true volume fraction.
+
+// Radius at height h (0 = bottom, 1 = rim) as [h, radius] points, joined by straight lines.
+// Display names are the profile.<key> messages in js/locales.
+export const glassProfiles = {
+    tulip: {
+        points: [[0, 0.68], [0.3, 0.78], [0.6, 0.92], [0.82, 1], [1, 0.95]]
+    },
+    nonic: {
+        points: [[0, 0.75], [0.8, 0.96], [0.88, 1], [0.95, 0.96], [1, 0.97]]
+    },
+    straight: {
+        points: [[0, 0.82], [1, 1]]
+    },
+    custom: {
+        // Points come from the custom taper setting
+    }
+};
+
+export const DEFAULT_CUSTOM_TAPER = 0.8; // Bottom width as a fraction of the rim width
+
+const INTEGRATION_STEPS = 200;
+
+// Radius function for a profile; custom glasses taper linearly from bottom to rim
+export function getRadiusFunction(profileName, customTaper = DEFAULT_CUSTOM_TAPER) {
+    const profile = glassProfiles[profileName] || glassProfiles.tulip;
+    const points = profile.points || [[0, customTaper], [1, 1]];
+    
+    return (h) => {
+        const clamped = Math.max(0, Math.min(1, h));
+        for (let i = 1; i < points.length; i++) {
+            const [h1, r1] = points[i];
+            if (clamped <= h1) {
+                const [h0, r0] = points[i - 1];
+                return r0 + ((clamped - h0) / (h1 - h0)) * (r1 - r0);
+            }
+        }
+        return points[points.length - 1][1];
+    };
+}
+
+// Volume below height fraction h, relative to the full glass (stacked circular slices)
+export function toVolumeFraction(radius, h) {
+    const volumeBelow = (top) => {
+        const step = top / INTEGRATION_STEPS;
+        let volume = 0;
+        for (let i = 0; i < INTEGRATION_STEPS; i++) {
+            const r = radius((i + 0.5) * step);
+            volume += r * r * step;
+        }
+        return volume;
+    };
+    
+    const clamped = Math.max(0, Math.min(1, h));
+    return clamped === 0 ? 0 : volumeBelow(clamped) / volumeBelow(1);
+}
+
+// Correct heights for a camera held above the glass.
+// From above, the rim is an ellipse: the side rims (leftRimTop/rightRimTop) sit on its centre line
+// while the back rim in the middle of the glass (rimCenterTop) is higher by the ellipse's half height.
+// The liquid line, the printed G and the base are seen on the front wall, so each appears lower
+// than its centre line by the same ellipse scaled to the glass's radius at that height.
+// Camera roll scales every height equally, so it doesn't change the fractions.
+export function getPerspectiveCorrection(analysis, radius) {
+    const { glassTop, glassBottom, rimCenterTop, bounds } = analysis;
+    const halfWidth = (bounds.right - bounds.left) / 2;
+    const rimRadius = radius(1);
+    
+    let rimHalfHeight = 0;
+    if (rimCenterTop !== null && rimCenterTop !== undefined && rimCenterTop < glassTop) {
+        rimHalfHeight = Math.min(glassTop - rimCenterTop, halfWidth * 0.7);
+    }
+    const tiltDegrees = Math.round(Math.asin(rimHalfHeight / halfWidth) * 180 / Math.PI);
+    
+    // Front-wall offset below the centre line at height fraction h
+    const frontOffset = (h) => rimHalfHeight * radius(h) / rimRadius;
+    const bottomCenter = glassBottom - frontOffset(0);
+    const rimCenter = glassTop;
+    
+    // Height fraction of a point seen on the front wall at image row y
+    const toHeightFraction = (y) => {
+        let h = (glassBottom - y) / (glassBottom - glassTop);
+        // The offset depends on h itself, so refine the estimate a couple of times
+        for (let i = 0; i < 2; i++) {
+            h = (bottomCenter - (y - frontOffset(h))) / (bottomCenter - rimCenter);
+        }
+        return Math.max(0, Math.min(1, h));
+    };
+    
+    return {
+        tiltDegrees: tiltDegrees,
+        toHeightFraction: toHeightFraction
+    };
+}
+
+// Perspective-corrected height and volume percentages for the liquid and the target
+export function getVolumeMeasurements(analysis, profileName, customTaper) {
+    const radius = getRadiusFunction(profileName, customTaper);
+    const { tiltDegrees, toHeightFraction } = getPerspectiveCorrection(analysis, radius);
+    const liquidHeight = toHeightFraction(analysis.liquidLevel);
+    const targetHeight = toHeightFraction(analysis.targetY);
+    
+    return {
+        tiltDegrees: tiltDegrees,
+        heightPercentage: Math.round(liquidHeight * 100),
+        volumePercentage: Math.round(toVolumeFraction(radius, liquidHeight) * 100),
+        targetHeightPercentage: Math.round(targetHeight * 100),
+        targetVolumePercentage: Math.round(toVolumeFraction(radius, targetHeight) * 100)
+    };
+}
@@ -0,0 +1,125 @@
+// Attempt history
+// Every scored attempt is stored locally in IndexedDB so results survive between visits.
+
+const DB_NAME = 'split-the-g';
+const DB_VERSION = 1;
+const STORE_NAME = 'attempts';
+
+let dbPromise = null;
+
+// Open (and create on first use) the history database
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('timestamp', 'timestamp');
+                store.createIndex('player', 'player');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Run a single request against the attempts store and resolve with its result
+async function runRequest(mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        // Aborts (quota exceeded, the database closing) fire no error event on the transaction
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Fields copied from an analysis result into a stored attempt
+function getAttemptFields(analysis) {
+    return {
+        score: analysis.score,
+        beerPercentage: analysis.beerPercentage,
+        targetPercentage: analysis.targetPercentage,
+        glassTop: analysis.glassTop,
+        glassBottom: analysis.glassBottom,
+        liquidLevel: analysis.liquidLevel,
+        headTop: analysis.headTop,
+        headBodyBoundary: analysis.headBodyBoundary,
+        headThickness: analysis.headThickness,
+        leftRimTop: analysis.leftRimTop,
+        rightRimTop: analysis.rightRimTop,
+        splitBoundary: analysis.splitBoundary,
+        heightPercentage: analysis.heightPercentage,
+        volumePercentage: analysis.volumePercentage,
+        glassProfile: analysis.glassProfile,
+        scoreBy: analysis.scoreBy,
+        scoring: analysis.scoring,
+        tiltDegrees: analysis.tiltDegrees,
+        manuallyAdjusted: Boolean(analysis.manuallyAdjusted)
+    };
+}
+
+// Unique attempt id. crypto.randomUUID only exists on HTTPS and localhost, and the app is also
+// served over plain HTTP on a LAN, so fall back to random bytes formatted the same way.
+function createAttemptId() {
+    if (crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Build a stored attempt from an analysis result
+export function createAttempt(analysis, player, thumbnail) {
+    return {
+        id: createAttemptId(),
+        player: player,
+        timestamp: Date.now(),
+        ...getAttemptFields(analysis),
+        thumbnail: thumbnail
+    };
+}
+
+// Copy of an attempt updated with a corrected analysis (same id, so saving replaces it)
+export function updateAttempt(attempt, analysis, thumbnail) {
+    return {
+        ...attempt,
+        ...getAttemptFields(analysis),
+        thumbnail: thumbnail
+    };
+}
+
+// Save an attempt
+export function addAttempt(attempt) {
+    return runRequest('readwrite', store => store.put(attempt));
+}
+
+// Save several attempts in one transaction (used when importing)
+export async function addAttempts(attempts) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        attempts.forEach(attempt => store.put(attempt));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// All attempts, oldest first
+export async function getAttempts() {
+    const attempts = await runRequest('readonly', store => store.index('timestamp').getAll());
+    return attempts || [];
+}
+
+// Remove an attempt by id
+export function deleteAttempt(id) {
+    return runRequest('readwrite', store => store.delete(id));
+}
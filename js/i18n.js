@@ -0,0 +1,88 @@
+// Localisation
+// Looks up user-facing text in the message catalogs under js/locales, picks the visitor's
+// language from navigator.languages and formats numbers and plurals for that language.
+
+import { messages as en } from './locales/en.js';
+import { messages as de } from './locales/de.js';
+
+// Shipped catalogs; English is complete and used for anything another catalog lacks
+export const locales = {
+    en: { name: 'English', messages: en },
+    de: { name: 'Deutsch', messages: de }
+};
+
+export const defaultLocale = 'en';
+
+let currentLocale = defaultLocale;
+
+// First shipped locale matching the visitor's preferred languages, trying 'de-AT' then 'de'
+export function detectLocale(languages = navigator.languages || [navigator.language]) {
+    for (const language of languages) {
+        if (!language) continue;
+        const tag = language.toLowerCase();
+        if (locales[tag]) return tag;
+        const base = tag.split('-')[0];
+        if (locales[base]) return base;
+    }
+    return defaultLocale;
+}
+
+export function setLocale(locale) {
+    currentLocale = locales[locale] ? locale : defaultLocale;
+    return currentLocale;
+}
+
+export function getLocale() {
+    return currentLocale;
+}
+
+// Keys a catalog is missing compared to English
+export function findMissingKeys(locale) {
+    const messages = locales[locale].messages;
+    return Object.keys(en).filter(key => !(key in messages));
+}
+
+export function formatNumber(value, options) {
+    return new Intl.NumberFormat(currentLocale, options).format(value);
+}
+
+// Percentages are kept as 0-100 throughout the app
+export function formatPercent(value) {
+    return new Intl.NumberFormat(currentLocale, { style: 'percent', maximumFractionDigits: 1 }).format(value / 100);
+}
+
+// Message for key with {name} placeholders filled from params. Numbers are formatted for the
+// current locale; messages with plural forms pick one from params.count.
+export function t(key, params = {}) {
+    let message = locales[currentLocale].messages[key] ?? en[key];
+    if (message === undefined) {
+        console.log('Missing message:', key);
+        return key;
+    }
+    
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(currentLocale).select(params.count);
+        message = message[form] ?? message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : value;
+    });
+}
+
+// Translate the static text marked up in the page: data-i18n sets the text,
+// data-i18n-placeholder and data-i18n-aria-label set those attributes
+export function translatePage(root = document) {
+    document.documentElement.lang = currentLocale;
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+}
@@ -0,0 +1,137 @@
+// Detector inspector
+// Plots the analyzer's per-row signals next to the analysed photo, with the thresholds in use,
+// the rim candidates and the lines that were finally chosen, so the detector can be tuned.
+
+import { t } from './i18n.js';
+
+const PANEL_WIDTH = 240;
+const PANEL_GAP = 10;
+
+export const signalColors = {
+    leftEdgeIntensity: '#3498db',
+    rightEdgeIntensity: '#9b59b6',
+    edgeIntensityByRow: '#1abc9c',
+    liquidTransitionByRow: '#e67e22',
+    transitionStrength: '#e74c3c'
+};
+
+// Draw the photo from sourceCanvas on the left and two signal panels to its right:
+// edge signals (0-1 share of edge pixels) and liquid signals (window colour difference).
+// Every panel shares the photo's rows, so a peak lines up with what caused it.
+export function drawInspector(canvas, analysis, sourceCanvas) {
+    const { height, signals, thresholds } = analysis;
+    const imageWidth = Math.round(sourceCanvas.width * height / sourceCanvas.height);
+    canvas.width = imageWidth + (PANEL_WIDTH + PANEL_GAP) * 2;
+    canvas.height = height;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(sourceCanvas, 0, 0, imageWidth, height);
+    
+    const edgePanel = { left: imageWidth + PANEL_GAP, title: t('inspector.edges') };
+    const liquidPanel = { left: imageWidth + PANEL_GAP * 2 + PANEL_WIDTH, title: t('inspector.liquid') };
+    
+    // Transition strength is unbounded; leave room for the threshold and the strongest peak
+    const strongest = Math.max(...signals.transitionStrength);
+    const colorDiffScale = Math.max(strongest, thresholds.minColorDiff * 2);
+    
+    drawPanel(ctx, edgePanel, height);
+    drawThreshold(ctx, edgePanel, height, thresholds.minEdgeStrength, `${t('inspector.minEdgeStrength')} ${thresholds.minEdgeStrength}`);
+    drawSignal(ctx, edgePanel, signals.leftEdgeIntensity, 1, signalColors.leftEdgeIntensity);
+    drawSignal(ctx, edgePanel, signals.rightEdgeIntensity, 1, signalColors.rightEdgeIntensity);
+    drawSignal(ctx, edgePanel, signals.edgeIntensityByRow, 1, signalColors.edgeIntensityByRow);
+    
+    // Rim candidates: the strongest edges above minEdgeStrength on each side
+    analysis.rimCandidates.left.forEach(y => {
+        drawMarker(ctx, edgePanel, signals.leftEdgeIntensity[y], y, signalColors.leftEdgeIntensity);
+    });
+    analysis.rimCandidates.right.forEach(y => {
+        drawMarker(ctx, edgePanel, signals.rightEdgeIntensity[y], y, signalColors.rightEdgeIntensity);
+    });
+    
+    // The bottom is the strongest centre edge in the lower part of the glass
+    const bottomRow = Math.round(analysis.glassBottom);
+    drawMarker(ctx, edgePanel, signals.edgeIntensityByRow[bottomRow], bottomRow, signalColors.edgeIntensityByRow);
+    
+    drawPanel(ctx, liquidPanel, height);
+    drawThreshold(ctx, liquidPanel, height, thresholds.minColorDiff / colorDiffScale, `${t('inspector.minColorDiff')} ${thresholds.minColorDiff}`);
+    drawSignal(ctx, liquidPanel, signals.liquidTransitionByRow, 1, signalColors.liquidTransitionByRow);
+    drawSignal(ctx, liquidPanel, signals.transitionStrength, colorDiffScale, signalColors.transitionStrength);
+    
+    // The zone boundaries are picked from the transition strength peaks
+    [analysis.headTop, analysis.headBodyBoundary].forEach(y => {
+        drawMarker(ctx, liquidPanel, signals.transitionStrength[y] / colorDiffScale, y, signalColors.transitionStrength);
+    });
+    
+    // The lines the analyzer settled on, across the photo and both panels
+    const chosen = [
+        { y: analysis.glassTop, label: t('inspector.line.rim'), color: 'rgba(0, 255, 255, 1)' },
+        { y: analysis.glassBottom, label: t('inspector.line.bottom'), color: 'rgba(0, 255, 255, 1)' },
+        { y: analysis.headTop, label: t('inspector.line.head'), color: 'rgba(245, 222, 179, 0.9)' },
+        { y: analysis.liquidLevel, label: t('inspector.line.liquid'), color: 'rgba(255, 165, 0, 0.9)' }
+    ];
+    chosen.forEach(line => {
+        ctx.beginPath();
+        ctx.strokeStyle = line.color;
+        ctx.lineWidth = 1;
+        ctx.moveTo(0, line.y + 0.5);
+        ctx.lineTo(canvas.width, line.y + 0.5);
+        ctx.stroke();
+        ctx.fillStyle = line.color;
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(line.label, canvas.width - 4, line.y - 3);
+    });
+}
+
+function drawPanel(ctx, panel, height) {
+    ctx.fillStyle = '#2d2d2d';
+    ctx.fillRect(panel.left, 0, PANEL_WIDTH, height);
+    ctx.fillStyle = '#888';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(panel.title, panel.left + 4, 14);
+}
+
+// Dashed vertical line at a threshold, given as a fraction of the panel width
+function drawThreshold(ctx, panel, height, fraction, label) {
+    const x = panel.left + Math.min(1, fraction) * PANEL_WIDTH;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+    ctx.restore();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, Math.min(x + 3, panel.left + PANEL_WIDTH - 100), height - 6);
+}
+
+// Plot one value per row, horizontally from the panel's left edge
+function drawSignal(ctx, panel, values, scale, color) {
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    values.forEach((value, y) => {
+        const x = panel.left + Math.min(1, value / scale) * PANEL_WIDTH;
+        if (y === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+    ctx.stroke();
+}
+
+function drawMarker(ctx, panel, value, y, color) {
+    ctx.beginPath();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = '#fff';
+    ctx.arc(panel.left + Math.min(1, value) * PANEL_WIDTH, y, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+}
@@ -0,0 +1,168 @@
+// Live level tracking
+// Samples video frames while pouring or drinking, smooths the detected level over time
+// and draws the rim, liquid line and G target over the camera view.
+
+import { getFillPercentages, getTargetY } from './analyzer.js';
+import { analyzeImageAsync } from './analysis-client.js';
+import { drawGlassBox, drawGlassLines, drawTargetLine } from './overlay.js';
+
+// Frames are analysed at a reduced size to keep up with the camera
+const SAMPLE_WIDTH = 320;
+const SAMPLE_HEIGHT = 240;
+
+// Minimum time between analysed frames (ms)
+const FRAME_INTERVAL = 200;
+
+// Weight of the newest frame in the moving average (0-1)
+const SMOOTHING = 0.3;
+
+// Show the "stop now" cue this many percentage points above the target
+const STOP_MARGIN = 3;
+
+// Create a tracker that draws onto overlayCanvas and reports each smoothed estimate to onUpdate.
+// getOptions is called on every frame so settings changes apply straight away.
+export function createLiveTracker(video, overlayCanvas, getOptions, onUpdate) {
+    const overlayCtx = overlayCanvas.getContext('2d');
+    const sampleCanvas = document.createElement('canvas');
+    sampleCanvas.width = SAMPLE_WIDTH;
+    sampleCanvas.height = SAMPLE_HEIGHT;
+    const sampleCtx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+    
+    let frameId = null;
+    // Bumped by start and stop, so a frame analysed across a restart isn't applied to the new run
+    let run = 0;
+    let lastFrameTime = 0;
+    let smoothed = null;
+    let analyzing = false;
+    
+    async function tick(time) {
+        frameId = requestAnimationFrame(tick);
+        // Skip frames while the previous one is still being analysed
+        if (analyzing || time - lastFrameTime < FRAME_INTERVAL || video.readyState < 2) {
+            return;
+        }
+        lastFrameTime = time;
+        
+        sampleCtx.drawImage(video, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+        const imageData = sampleCtx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+        analyzing = true;
+        const frameRun = run;
+        let analysis;
+        try {
+            // Straightening would move the lines away from the unrotated video underneath
+            analysis = await analyzeImageAsync(imageData, { ...getOptions(), straighten: false });
+        } catch (err) {
+            // A failed frame is treated like one without a glass; the next frame tries again
+            console.log('Live frame analysis failed:', err);
+            analysis = null;
+        } finally {
+            analyzing = false;
+        }
+        
+        // Stopped (or stopped and started again) while this frame was being analysed
+        if (frameRun !== run) return;
+        
+        // Don't let frames without a clear glass drag the estimate around, and take the
+        // last lines down so they don't stay up after the glass has gone
+        if (!analysis || !analysis.usable) {
+            clearOverlay();
+            onUpdate({ searching: true });
+            return;
+        }
+        
+        smoothed = smoothAnalysis(smoothed, analysis);
+        const estimate = toOverlayCoordinates(smoothed, analysis);
+        drawEstimate(estimate);
+        
+        onUpdate({
+            beerPercentage: estimate.beerPercentage,
+            targetPercentage: estimate.targetPercentage,
+            stopNow: estimate.beerPercentage <= estimate.targetPercentage + STOP_MARGIN
+        });
+    }
+    
+    // Blend the new frame's boundaries (as fractions of frame height) into the running average
+    function smoothAnalysis(previous, analysis) {
+        const current = {
+            glassTop: analysis.glassTop / SAMPLE_HEIGHT,
+            glassBottom: analysis.glassBottom / SAMPLE_HEIGHT,
+            liquidLevel: analysis.liquidLevel / SAMPLE_HEIGHT
+        };
+        if (!previous) {
+            return current;
+        }
+        
+        const blended = {};
+        for (const key of Object.keys(current)) {
+            blended[key] = previous[key] + (current[key] - previous[key]) * SMOOTHING;
+        }
+        return blended;
+    }
+    
+    // Scale the smoothed fractions up to the overlay canvas and recompute percentages
+    function toOverlayCoordinates(fractions, analysis) {
+        const width = overlayCanvas.width;
+        const height = overlayCanvas.height;
+        const scaleX = width / SAMPLE_WIDTH;
+        const scaleY = height / SAMPLE_HEIGHT;
+        const box = analysis.glassBox;
+        
+        const glassTop = Math.round(fractions.glassTop * height);
+        const glassBottom = Math.round(fractions.glassBottom * height);
+        const liquidLevel = Math.round(fractions.liquidLevel * height);
+        const { beerPercentage } = getFillPercentages(glassTop, glassBottom, liquidLevel);
+        
+        return {
+            glassTop: glassTop,
+            glassBottom: glassBottom,
+            liquidLevel: liquidLevel,
+            glassBox: box ? {
+                left: Math.round(box.left * scaleX),
+                right: Math.round(box.right * scaleX),
+                top: Math.round(box.top * scaleY),
+                bottom: Math.round(box.bottom * scaleY)
+            } : null,
+            bounds: {
+                left: Math.round(analysis.bounds.left * scaleX),
+                right: Math.round(analysis.bounds.right * scaleX),
+                centerX: Math.round(analysis.bounds.centerX * scaleX)
+            },
+            beerPercentage: beerPercentage,
+            targetPercentage: analysis.targetPercentage,
+            targetY: getTargetY(glassTop, glassBottom, analysis.targetPercentage)
+        };
+    }
+    
+    function clearOverlay() {
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+    }
+    
+    function drawEstimate(estimate) {
+        clearOverlay();
+        drawGlassBox(overlayCtx, estimate);
+        drawGlassLines(overlayCtx, estimate);
+        drawTargetLine(overlayCtx, estimate);
+    }
+    
+    function start() {
+        if (frameId !== null) return;
+        run++;
+        smoothed = null;
+        lastFrameTime = 0;
+        frameId = requestAnimationFrame(tick);
+    }
+    
+    function stop() {
+        if (frameId === null) return;
+        cancelAnimationFrame(frameId);
+        frameId = null;
+        run++;
+        clearOverlay();
+    }
+    
+    return {
+        start: start,
+        stop: stop,
+        isRunning: () => frameId !== null
+    };
+}
@@ -0,0 +1,270 @@
+// German messages (Deutsch)
+// Keys match js/locales/en.js; anything missing here falls back to English.
+
+export const messages = {
+    'app.subtitle': 'Wie gut splittest du dein Guinness?',
+    'nav.history': 'Verlauf',
+    'nav.pubNight': 'Pub-Abend',
+    'nav.install': 'Installieren',
+    'language.label': 'Sprache',
+    'language.auto': 'Automatisch',
+    'update.available': 'Eine neue Version ist verfügbar.',
+    'update.reload': 'Neu laden',
+    'error.dismiss': 'Schließen',
+    
+    'error.https': 'Für den Kamerazugriff braucht die App HTTPS. Bitte nutze HTTPS oder localhost.',
+    'error.camera': 'Kein Zugriff auf die Kamera.',
+    'error.cameraPermission': 'Bitte erlaube den Zugriff auf die Kamera. Eventuell musst du:\n\n'
+        + '1. die Website-Einstellungen im Browser prüfen\n'
+        + '2. die Seite neu laden\n'
+        + '3. in Chrome die Website-Einstellungen zurücksetzen und den Zugriff erneut erlauben',
+    'error.cameraNotFound': 'Auf diesem Gerät wurde keine Kamera gefunden.',
+    'error.cameraInUse': 'Die Kamera wird eventuell von einer anderen App benutzt.',
+    'error.fileType': 'Bitte wähle ein JPEG- oder PNG-Foto deines Glases.',
+    'error.fileDecode': 'Dieses Foto konnte nicht geöffnet werden. HEIC-Fotos funktionieren nur in manchen Browsern, versuch es mit JPEG oder PNG.',
+    'error.processing': 'Fehler bei der Bildauswertung. Versuch es noch einmal mit besserem Licht und dem Glas mittig im Bild.',
+    'error.card': 'Die Ergebniskarte konnte nicht erstellt werden. Bitte versuch es noch einmal.',
+    'error.save': 'Dieser Versuch konnte nicht im Verlauf gespeichert werden.',
+    'error.delete': 'Dieser Versuch konnte nicht gelöscht werden. Bitte versuch es noch einmal.',
+    'error.export': 'Der Export konnte nicht erstellt werden. Bitte versuch es noch einmal.',
+    'error.import.invalid-json': 'Diese Datei ist kein gültiges JSON.',
+    'error.import.not-export': 'Diese Datei ist kein Export von Split the G.',
+    'error.import.newer-version': 'Dieser Export stammt aus einer neueren Version der App. Aktualisiere die App und versuch es noch einmal.',
+    'error.import.failed': 'Die Versuche konnten nicht importiert werden. Bitte versuch es noch einmal.',
+    'error.clip': 'Dieser Clip konnte nicht ausgewertet werden. Versuch einen kürzeren Clip mit dem ganzen Glas im Bild.',
+    'error.challengeCreate': 'Der Link zur Herausforderung konnte nicht erstellt werden. Bitte versuch es noch einmal.',
+    'error.challengeLink': 'Dieser Link zur Herausforderung ist beschädigt oder unvollständig. Frag nach einem neuen.',
+    
+    'camera.fallbackName': 'Kamera {number}',
+    'camera.guide': 'Das ganze Glas ins Bild nehmen und gerade von vorne fotografieren',
+    'camera.photoLabel': 'Foto deines Glases',
+    'player.label': 'Spieler',
+    'player.placeholder': 'Dein Name',
+    'player.anonymous': 'Anonym',
+    'capture.takePhoto': 'Foto aufnehmen',
+    'capture.upload': 'Foto hochladen',
+    'capture.liveMode': 'Live-Modus',
+    'capture.stopLive': 'Live beenden',
+    'capture.holdStill': 'Stillhalten…',
+    'capture.keyboardTip': 'Tastatur: Leertaste nimmt das Foto auf, R für einen neuen Versuch, Esc schließt eine Meldung.',
+    
+    'precheck.too-dark': 'Zu dunkel – mehr Licht suchen',
+    'precheck.too-bright': 'Zu hell – nicht in Lampen halten',
+    'precheck.glare': 'Spiegelung auf dem Glas – Winkel ändern',
+    'precheck.moving': 'Ruhig halten',
+    'precheck.blurry': 'Unscharf – ruhig halten oder zum Fokussieren tippen',
+    'precheck.no-glass': 'Kamera auf dein Pint richten',
+    'precheck.move-closer': 'Näher herangehen',
+    'precheck.ok': 'Sieht gut aus – Foto aufnehmen',
+    
+    'live.searching': 'Suche das Glas…',
+    'live.stopNow': 'Jetzt absetzen!',
+    'live.level': 'Noch {beer} · Ziel {target}',
+    
+    'retake.title': 'Neues Foto nötig',
+    'retake.retakeButton': 'Neues Foto',
+    'retake.markByHand': 'Linien selbst setzen',
+    'retake.announce': 'Neues Foto nötig. {hints}',
+    'retake.no-rim': 'Der Rand wurde nicht gefunden. Achte darauf, dass der obere Glasrand in der Umrisslinie liegt.',
+    'retake.no-bottom': 'Der Glasboden wurde nicht gefunden. Bring das ganze Glas in die Umrisslinie.',
+    'retake.no-liquid': 'Die Bierlinie wurde nicht gefunden. Ein heller, schlichter Hintergrund hinter dem Glas hilft.',
+    'retake.glass-too-small': 'Das Glas ist zu klein. Geh näher heran, damit es die Umrisslinie ausfüllt.',
+    'retake.too-dark': 'Das Foto ist zu dunkel. Such mehr Licht oder geh aus dem Schatten.',
+    'retake.blurry': 'Das Foto ist unscharf. Halt das Handy ruhig und lass es scharfstellen.',
+    'retake.tilted': 'Das Glas wirkt schief. Halt das Handy gerade und fotografier von vorne.',
+    'retake.unclear': 'Das Glas ist auf diesem Foto schwer zu erkennen. Versuch es noch einmal von vorne und mit besserem Licht.',
+    
+    'result.title': 'Dein Ergebnis',
+    'result.perfect': 'Perfekter G-Split! Du bist ein Guinness-Meister! 🏆',
+    'result.close.more': 'Fast geschafft! Es fehlt noch etwas Guinness! 🎯',
+    'result.close.less': 'Fast geschafft! Etwas zu viel Guinness! 🎯',
+    'result.closer.more': 'Schon näher! Mehr einschenken! 🎯',
+    'result.closer.less': 'Schon näher! Weniger einschenken! 🎯',
+    'result.adjusting.more': 'Weiter probieren! Mehr Bier nötig! 🎯',
+    'result.adjusting.less': 'Weiter probieren! Weniger Bier nötig! 🎯',
+    'result.far.more': 'Nochmal! Da fehlt noch viel Guinness! 🎯',
+    'result.far.less': 'Nochmal! Das ist viel zu viel Guinness! 🎯',
+    'result.percentages': 'Bier {beer} des Glases, leer {empty}, Ziel {target}',
+    'result.photoLabel': 'Foto deines Glases mit den erkannten Linien. {percentages}.',
+    'result.head': 'Schaumkrone: {head} des Glases ({thickness} px)',
+    'result.volume': 'Höhe {height} · Volumen {volume} ({profile}, gewertet nach {scoreBy})',
+    'result.volumeTilted': 'Höhe {height} · Volumen {volume} ({profile}, gewertet nach {scoreBy}, korrigiert um {tilt}° Kameraneigung)',
+    'result.scoreBy.height': 'Höhe',
+    'result.scoreBy.volume': 'Volumen',
+    'result.burst': {
+        one: 'Serie: {used} von {count} Bild stimmte überein, innerhalb von {spread} (schärfstes Bild gezeigt)',
+        other: 'Serie: {used} von {count} Bildern stimmten überein, innerhalb von {spread} (schärfstes Bild gezeigt)'
+    },
+    'result.adjusted': 'Von Hand korrigiert',
+    'attempt.adjusted': 'von Hand korrigiert',
+    'result.dragTip': 'Tipp: Zieh die Rand-, Bier- oder Bodenlinie auf dem Foto, wenn die Erkennung danebenlag.',
+    'result.share': 'Teilen',
+    'result.tryAgain': 'Nochmal',
+    'result.seeLeaderboard': 'Zur Rangliste',
+    'result.nextPlayer': 'Weiter: {player}',
+    
+    'announce.result': 'Punktzahl {score}. {direction} Bier bei {beer}, Ziel {target}.',
+    'announce.perfect': 'Perfekter Split.',
+    'announce.more': 'Mehr Guinness nötig.',
+    'announce.less': 'Weniger Guinness nötig.',
+    'announce.corrected': 'Korrigiert. {summary}',
+    
+    'clip.record': 'Clip aufnehmen',
+    'clip.stopRecording': 'Aufnahme beenden',
+    'clip.upload': 'Clip hochladen',
+    'clip.title': 'Clip',
+    'clip.chartLabel': 'Bierstand im Verlauf des Clips',
+    'clip.frame': 'Bild',
+    'clip.previous': 'Vorheriges Bild',
+    'clip.next': 'Nächstes Bild',
+    'clip.scoreFrame': 'Dieses Bild werten',
+    'clip.close': 'Clip schließen',
+    'clip.analysing': 'Werte Bild {done} von {total} aus…',
+    'clip.settled': 'Der Stand war ab {time} s ruhig. Dieses Bild wurde gewertet.',
+    'clip.notSettled': 'Der Stand war nie ruhig. Wähle das Bild, das gewertet werden soll.',
+    'clip.frameLevel': '{time} s · noch {beer}',
+    'clip.frameUnclear': '{time} s · Glas auf diesem Bild nicht erkennbar',
+    'clip.beerLeft': 'Bier übrig',
+    'clip.target': 'Ziel',
+    'clip.selected': 'Dieses Bild',
+    
+    'challenge.create': 'Freunde herausfordern',
+    'challenge.shareText': 'Ich habe beim G-Split {score} Punkte geholt. Schaffst du mehr?',
+    'challenge.shared': 'Herausforderung gesendet.',
+    'challenge.copied': 'Link zur Herausforderung kopiert. Schick ihn einem Freund.',
+    'challenge.someone': 'Jemand',
+    'challenge.invite': '{player} hat {score} Punkte geholt. Schaffst du mehr?',
+    'challenge.beat': 'Schlag {player} mit mehr als {score}!',
+    'challenge.photoLabel': 'Glas von {player} mit den erkannten Linien',
+    'challenge.verified': 'Signatur geprüft und Punktzahl aus den Linien nachgerechnet. Signiert auf Gerät {fingerprint}.',
+    'challenge.badSignature': 'Die Signatur passt nicht – das Ergebnis wurde nach dem Teilen verändert.',
+    'challenge.badScore': 'Die Punktzahl passt nicht zum gemessenen Füllstand nach diesen Regeln.',
+    'challenge.badBoundaries': 'Der Füllstand passt nicht zu den Linien am Glas.',
+    'challenge.accept': 'Herausforderung annehmen',
+    'challenge.dismiss': 'Schließen',
+    'challenge.end': 'Herausforderung beenden',
+    'challenge.won': 'Du hast {player} mit {score} geschlagen! 🏆',
+    'challenge.tied': 'Gleichstand mit {player}!',
+    'challenge.lost': '{player} liegt noch {margin} Punkte vorn.',
+    
+    'session.finished': 'Alle Runden gespielt!',
+    'session.turn': 'Runde {round} von {rounds}: {player} ist dran',
+    'session.endSession': 'Abend beenden',
+    'session.hint': 'Tragt alle ein, die mitspielen, und fotografiert dann abwechselnd.',
+    'session.playerPlaceholder': 'Name',
+    'session.add': 'Hinzufügen',
+    'session.remove': 'Entfernen',
+    'session.rounds': 'Runden',
+    'session.start': 'Starten',
+    'session.cancel': 'Abbrechen',
+    'session.round': 'R{round}',
+    'session.total': 'Gesamt',
+    'session.confirmEnd': 'Den Abend jetzt beenden und die Rangliste zeigen?',
+    'session.confirmEndButton': 'Rangliste zeigen',
+    'session.keepPlaying': 'Weiterspielen',
+    
+    'leaderboard.title': 'Endstand',
+    'leaderboard.standing': '{total} Pkt. ({distance} daneben)',
+    'leaderboard.done': 'Fertig',
+    
+    'history.allRules': 'Alle Regeln',
+    'history.empty': 'Noch keine Versuche. Mach ein Foto, um loszulegen!',
+    'history.summary': '{player}: {score} ({beer} übrig) · {rules}',
+    'history.photoLabel': 'Glas von {player}',
+    'history.delete': 'Löschen',
+    'history.exported': {
+        one: '{count} Versuch exportiert.',
+        other: '{count} Versuche exportiert.'
+    },
+    'history.imported': {
+        one: '{count} neuer Versuch importiert',
+        other: '{count} neue Versuche importiert'
+    },
+    'history.alreadyHere': {
+        one: '{count} schon vorhanden',
+        other: '{count} schon vorhanden'
+    },
+    'history.invalidSkipped': {
+        one: '{count} ungültiger übersprungen',
+        other: '{count} ungültige übersprungen'
+    },
+    'history.exportJson': 'Als JSON exportieren',
+    'history.exportCsv': 'Als CSV exportieren',
+    'history.importJson': 'JSON importieren',
+    'history.includePhotos': 'Fotos in den JSON-Export aufnehmen',
+    'history.back': 'Zurück',
+    
+    'stats.attempts': 'Versuche',
+    'stats.best': 'Bester',
+    'stats.average': 'Schnitt',
+    'stats.streak': 'Serie',
+    'stats.longestStreak': 'Längste Serie',
+    
+    'rules.label': 'Regeln',
+    'rules.preset.casual': 'Locker',
+    'rules.preset.classic': 'Klassisch',
+    'rules.preset.pro': 'Profi',
+    'rules.name.casual': 'Lockere Regeln',
+    'rules.name.classic': 'Klassische Regeln',
+    'rules.name.pro': 'Profi-Regeln',
+    'rules.customTarget': 'Ziel {target} %',
+    'rules.underDrinkPenalty': 'Rest im Glas ×{penalty}',
+    'rules.overDrinkPenalty': 'zu weit getrunken ×{penalty}',
+    
+    'profile.tulip': 'Guinness-Tulpe',
+    'profile.nonic': 'Nonic-Pint',
+    'profile.straight': 'Gerades Pint-Glas',
+    'profile.custom': 'Eigenes Glas',
+    
+    'settings.title': 'Einstellungen',
+    'settings.splitLine': 'Trennlinie',
+    'settings.splitLine.body': 'Grenze zwischen Stout und Schaum',
+    'settings.splitLine.head': 'Oberkante des Schaums',
+    'settings.glass': 'Glas',
+    'settings.customTaper': 'Breite am Boden (% des Rands)',
+    'settings.customTarget': 'Ziel in % (leer lassen, um auf das G zu zielen)',
+    'settings.customTargetPlaceholder': 'Auto',
+    'settings.underDrinkPenalty': 'Strafe für zu viel Rest',
+    'settings.overDrinkPenalty': 'Strafe für zu weit getrunken',
+    'settings.scoreBy': 'Wertung nach',
+    'settings.scoreBy.height': 'Höhe',
+    'settings.scoreBy.volume': 'Volumen',
+    'settings.autoCapture': 'Automatisch auslösen, wenn das Bild passt',
+    'settings.highContrast': 'Ergebnislinien mit hohem Kontrast',
+    'settings.burstCapture': 'Serienaufnahme (mehrere Bilder pro Foto)',
+    'settings.showInspector': 'Erkennungs-Inspektor anzeigen',
+    
+    'cameraSettings.title': 'Kamera',
+    'cameraSettings.camera': 'Kamera',
+    'cameraSettings.resolution': 'Auflösung',
+    'cameraSettings.torch': 'Taschenlampe',
+    'cameraSettings.exposure': 'Belichtung',
+    'cameraSettings.focus': 'Fokus',
+    'cameraSettings.focus.continuous': 'Auto',
+    'cameraSettings.focus.manual': 'Fixiert',
+    'cameraSettings.tapToFocus': 'Tipp ins Kamerabild, um auf eine Stelle scharfzustellen.',
+    
+    'inspector.title': 'Inspektor',
+    'inspector.leftRimEdges': 'Kanten am linken Rand',
+    'inspector.rightRimEdges': 'Kanten am rechten Rand',
+    'inspector.centreEdges': 'Kanten in der Mitte',
+    'inspector.rowTransitions': 'Zeilenübergänge',
+    'inspector.colourDifference': 'Farbunterschied im Fenster',
+    'inspector.edges': 'Kanten',
+    'inspector.liquid': 'Flüssigkeit',
+    'inspector.line.rim': 'Rand',
+    'inspector.line.bottom': 'Boden',
+    'inspector.line.head': 'Schaum',
+    'inspector.line.liquid': 'Pegel',
+    'inspector.summary': 'Sicherheit {confidence} · Probleme: {issues} · {beer} voll, Punktzahl {score}',
+    'inspector.noIssues': 'keine',
+    'inspector.edgeContrast': 'Kantenkontrast',
+    'inspector.edgeBrightness': 'Kantenhelligkeit',
+    'inspector.rowTransition': 'Zeilenübergang',
+    'inspector.minEdgeStrength': 'Min. Kantenstärke',
+    'inspector.minColorDiff': 'Min. Farbunterschied',
+    'inspector.rerun': 'Neu auswerten',
+    'inspector.resetThresholds': 'Schwellen zurücksetzen',
+    
+    'share.text': 'Ich habe beim G-Split {score} Punkte geholt!'
+};
@@ -0,0 +1,270 @@
+// English messages
+// {name} placeholders are filled in by t(); messages with one/other forms are chosen by count.
+
+export const messages = {
+    'app.subtitle': 'Test your Guinness splitting skills!',
+    'nav.history': 'History',
+    'nav.pubNight': 'Pub Night',
+    'nav.install': 'Install',
+    'language.label': 'Language',
+    'language.auto': 'Automatic',
+    'update.available': 'A new version is available.',
+    'update.reload': 'Reload',
+    'error.dismiss': 'Dismiss',
+    
+    'error.https': 'This app requires HTTPS to access the camera. Please use HTTPS or localhost.',
+    'error.camera': 'Unable to access camera.',
+    'error.cameraPermission': 'Please ensure you have granted camera permissions. You may need to:\n\n'
+        + '1. Check site settings in your browser\n'
+        + '2. Reload the page\n'
+        + '3. If using Chrome, try clearing site settings and granting permissions again',
+    'error.cameraNotFound': 'No camera found on your device.',
+    'error.cameraInUse': 'Camera may be in use by another application.',
+    'error.fileType': 'Please choose a JPEG or PNG photo of your glass.',
+    'error.fileDecode': 'This photo could not be opened. HEIC photos are only supported in some browsers, so try a JPEG or PNG instead.',
+    'error.processing': 'Error processing image. Please try again with better lighting and glass positioning.',
+    'error.card': 'Could not create the result card. Please try again.',
+    'error.save': 'This attempt could not be saved to your history.',
+    'error.delete': 'This attempt could not be deleted. Please try again.',
+    'error.export': 'The export could not be created. Please try again.',
+    'error.import.invalid-json': 'This file is not valid JSON.',
+    'error.import.not-export': 'This file is not a Split the G export.',
+    'error.import.newer-version': 'This export was made by a newer version of the app. Update the app and try again.',
+    'error.import.failed': 'These attempts could not be imported. Please try again.',
+    'error.clip': 'This clip could not be analysed. Try a shorter clip with the whole glass in view.',
+    'error.challengeCreate': 'Could not create the challenge link. Please try again.',
+    'error.challengeLink': 'This challenge link is damaged or incomplete. Ask for a new one.',
+    
+    'camera.fallbackName': 'Camera {number}',
+    'camera.guide': 'Get the whole glass in view, and take the photo from straight-on',
+    'camera.photoLabel': 'Photo of your glass',
+    'player.label': 'Player',
+    'player.placeholder': 'Your name',
+    'player.anonymous': 'Anonymous',
+    'capture.takePhoto': 'Take Photo',
+    'capture.upload': 'Upload Photo',
+    'capture.liveMode': 'Live Mode',
+    'capture.stopLive': 'Stop Live',
+    'capture.holdStill': 'Hold still…',
+    'capture.keyboardTip': 'Keyboard: Space takes the photo, R tries again, Esc closes a message.',
+    
+    'precheck.too-dark': 'Too dark – find more light',
+    'precheck.too-bright': 'Too bright – avoid pointing at lights',
+    'precheck.glare': 'Glare on the glass – change the angle',
+    'precheck.moving': 'Hold steady',
+    'precheck.blurry': 'Blurry – hold steady or tap to focus',
+    'precheck.no-glass': 'Point the camera at your pint',
+    'precheck.move-closer': 'Move closer',
+    'precheck.ok': 'Looks good – take the photo',
+    
+    'live.searching': 'Looking for the glass…',
+    'live.stopNow': 'Stop now!',
+    'live.level': '{beer} left · aiming for {target}',
+    
+    'retake.title': 'Retake Needed',
+    'retake.retakeButton': 'Retake Photo',
+    'retake.markByHand': 'Mark Lines by Hand',
+    'retake.announce': 'Retake needed. {hints}',
+    'retake.no-rim': "Couldn't find the rim. Make sure the top of the glass is inside the outline.",
+    'retake.no-bottom': "Couldn't find the bottom of the glass. Fit the whole glass inside the outline.",
+    'retake.no-liquid': "Couldn't find the beer line. A plain, lighter background behind the glass helps.",
+    'retake.glass-too-small': 'The glass looks too small. Move closer so it fills the outline.',
+    'retake.too-dark': 'The photo is too dark. Find more light or move away from shadows.',
+    'retake.blurry': 'The photo is blurry. Hold the phone steady and let it focus.',
+    'retake.tilted': 'The glass looks tilted. Hold the phone level and shoot straight-on.',
+    'retake.unclear': 'The glass is hard to make out in this photo. Try again straight-on with better lighting.',
+    
+    'result.title': 'Your Score',
+    'result.perfect': "Perfect G split! You're a Guinness master! 🏆",
+    'result.close.more': 'Almost there! Need more Guinness! 🎯',
+    'result.close.less': 'Almost there! Need less Guinness! 🎯',
+    'result.closer.more': 'Getting closer! Pour more! 🎯',
+    'result.closer.less': 'Getting closer! Pour less! 🎯',
+    'result.adjusting.more': 'Keep adjusting! Need more beer! 🎯',
+    'result.adjusting.less': 'Keep adjusting! Need less beer! 🎯',
+    'result.far.more': 'Try again! You need much more Guinness! 🎯',
+    'result.far.less': 'Try again! You need much less Guinness! 🎯',
+    'result.percentages': 'Beer {beer} of the glass, empty {empty}, target {target}',
+    'result.photoLabel': 'Photo of your glass with the detected lines. {percentages}.',
+    'result.head': 'Head: {head} of the glass ({thickness}px)',
+    'result.volume': 'Height {height} · Volume {volume} ({profile}, scored by {scoreBy})',
+    'result.volumeTilted': 'Height {height} · Volume {volume} ({profile}, scored by {scoreBy}, corrected for {tilt}° camera tilt)',
+    'result.scoreBy.height': 'height',
+    'result.scoreBy.volume': 'volume',
+    'result.burst': {
+        one: 'Burst: {used} of {count} frame agreed, within {spread} of each other (sharpest frame shown)',
+        other: 'Burst: {used} of {count} frames agreed, within {spread} of each other (sharpest frame shown)'
+    },
+    'result.adjusted': 'Manually adjusted',
+    'attempt.adjusted': 'manually adjusted',
+    'result.dragTip': 'Tip: drag the rim, beer or bottom line on the photo if the detector got it wrong.',
+    'result.share': 'Share',
+    'result.tryAgain': 'Try Again',
+    'result.seeLeaderboard': 'See Leaderboard',
+    'result.nextPlayer': 'Next: {player}',
+    
+    'announce.result': 'Score {score}. {direction} Beer at {beer}, target {target}.',
+    'announce.perfect': 'Perfect split.',
+    'announce.more': 'Need more Guinness.',
+    'announce.less': 'Need less Guinness.',
+    'announce.corrected': 'Corrected. {summary}',
+    
+    'clip.record': 'Record Clip',
+    'clip.stopRecording': 'Stop Recording',
+    'clip.upload': 'Upload Clip',
+    'clip.title': 'Clip',
+    'clip.chartLabel': 'Beer left over the clip',
+    'clip.frame': 'Frame',
+    'clip.previous': 'Previous Frame',
+    'clip.next': 'Next Frame',
+    'clip.scoreFrame': 'Score This Frame',
+    'clip.close': 'Close Clip',
+    'clip.analysing': 'Analysing frame {done} of {total}…',
+    'clip.settled': 'The level settled at {time} s. That frame has been scored.',
+    'clip.notSettled': 'The level never held steady. Pick the frame to score.',
+    'clip.frameLevel': '{time} s · {beer} left',
+    'clip.frameUnclear': '{time} s · glass not clear in this frame',
+    'clip.beerLeft': 'Beer left',
+    'clip.target': 'Target',
+    'clip.selected': 'This frame',
+    
+    'challenge.create': 'Challenge a Friend',
+    'challenge.shareText': 'I scored {score} splitting the G. Can you beat it?',
+    'challenge.shared': 'Challenge sent.',
+    'challenge.copied': 'Challenge link copied. Paste it to a friend.',
+    'challenge.someone': 'Someone',
+    'challenge.invite': '{player} scored {score}. Can you beat it?',
+    'challenge.beat': "Beat {player}'s {score}!",
+    'challenge.photoLabel': "{player}'s glass with the detected lines",
+    'challenge.verified': 'Signature checked and score recomputed from the lines. Signed on device {fingerprint}.',
+    'challenge.badSignature': "The signature doesn't match, so this result was changed after it was shared.",
+    'challenge.badScore': "The score doesn't match the measured fill under these rules.",
+    'challenge.badBoundaries': "The fill doesn't match the lines on the glass.",
+    'challenge.accept': 'Take the Challenge',
+    'challenge.dismiss': 'Dismiss',
+    'challenge.end': 'End Challenge',
+    'challenge.won': "You beat {player}'s {score}! 🏆",
+    'challenge.tied': 'Level with {player}!',
+    'challenge.lost': '{player} still leads by {margin}.',
+    
+    'session.finished': 'All rounds played!',
+    'session.turn': "Round {round} of {rounds}: {player}'s turn",
+    'session.endSession': 'End Session',
+    'session.hint': "Add everyone who's playing, then take turns capturing.",
+    'session.playerPlaceholder': 'Player name',
+    'session.add': 'Add',
+    'session.remove': 'Remove',
+    'session.rounds': 'Rounds',
+    'session.start': 'Start',
+    'session.cancel': 'Cancel',
+    'session.round': 'R{round}',
+    'session.total': 'Total',
+    'session.confirmEnd': 'End the session now and show the leaderboard?',
+    'session.confirmEndButton': 'Show Leaderboard',
+    'session.keepPlaying': 'Keep Playing',
+    
+    'leaderboard.title': 'Final Leaderboard',
+    'leaderboard.standing': '{total} pts ({distance} off)',
+    'leaderboard.done': 'Done',
+    
+    'history.allRules': 'All rules',
+    'history.empty': 'No attempts yet. Take a photo to get started!',
+    'history.summary': '{player}: {score} ({beer} left) · {rules}',
+    'history.photoLabel': "{player}'s glass",
+    'history.delete': 'Delete',
+    'history.exported': {
+        one: 'Exported {count} attempt.',
+        other: 'Exported {count} attempts.'
+    },
+    'history.imported': {
+        one: 'Imported {count} new attempt',
+        other: 'Imported {count} new attempts'
+    },
+    'history.alreadyHere': {
+        one: '{count} already here',
+        other: '{count} already here'
+    },
+    'history.invalidSkipped': {
+        one: '{count} invalid skipped',
+        other: '{count} invalid skipped'
+    },
+    'history.exportJson': 'Export JSON',
+    'history.exportCsv': 'Export CSV',
+    'history.importJson': 'Import JSON',
+    'history.includePhotos': 'Include photos in the JSON export',
+    'history.back': 'Back',
+    
+    'stats.attempts': 'Attempts',
+    'stats.best': 'Best',
+    'stats.average': 'Average',
+    'stats.streak': 'Streak',
+    'stats.longestStreak': 'Longest Streak',
+    
+    'rules.label': 'Rules',
+    'rules.preset.casual': 'Casual',
+    'rules.preset.classic': 'Classic',
+    'rules.preset.pro': 'Pro',
+    'rules.name.casual': 'Casual rules',
+    'rules.name.classic': 'Classic rules',
+    'rules.name.pro': 'Pro rules',
+    'rules.customTarget': '{target}% target',
+    'rules.underDrinkPenalty': 'leaving beer ×{penalty}',
+    'rules.overDrinkPenalty': 'over-drinking ×{penalty}',
+    
+    'profile.tulip': 'Guinness tulip',
+    'profile.nonic': 'Nonic pint',
+    'profile.straight': 'Straight pint',
+    'profile.custom': 'Custom',
+    
+    'settings.title': 'Settings',
+    'settings.splitLine': 'Split line',
+    'settings.splitLine.body': 'Stout / head boundary',
+    'settings.splitLine.head': 'Top of the head',
+    'settings.glass': 'Glass',
+    'settings.customTaper': 'Bottom width (% of rim)',
+    'settings.customTarget': 'Target % (blank to aim for the G)',
+    'settings.customTargetPlaceholder': 'Auto',
+    'settings.underDrinkPenalty': 'Penalty for leaving too much',
+    'settings.overDrinkPenalty': 'Penalty for drinking past the line',
+    'settings.scoreBy': 'Score by',
+    'settings.scoreBy.height': 'Height',
+    'settings.scoreBy.volume': 'Volume',
+    'settings.autoCapture': 'Auto-capture when the shot looks good',
+    'settings.highContrast': 'High-contrast result lines',
+    'settings.burstCapture': 'Burst capture (several frames per photo)',
+    'settings.showInspector': 'Show detector inspector',
+    
+    'cameraSettings.title': 'Camera',
+    'cameraSettings.camera': 'Camera',
+    'cameraSettings.resolution': 'Resolution',
+    'cameraSettings.torch': 'Torch',
+    'cameraSettings.exposure': 'Exposure',
+    'cameraSettings.focus': 'Focus',
+    'cameraSettings.focus.continuous': 'Auto',
+    'cameraSettings.focus.manual': 'Locked',
+    'cameraSettings.tapToFocus': 'Tap the camera view to focus on a spot.',
+    
+    'inspector.title': 'Inspector',
+    'inspector.leftRimEdges': 'Left rim edges',
+    'inspector.rightRimEdges': 'Right rim edges',
+    'inspector.centreEdges': 'Centre edges',
+    'inspector.rowTransitions': 'Row transitions',
+    'inspector.colourDifference': 'Window colour difference',
+    'inspector.edges': 'Edges',
+    'inspector.liquid': 'Liquid',
+    'inspector.line.rim': 'rim',
+    'inspector.line.bottom': 'bottom',
+    'inspector.line.head': 'head',
+    'inspector.line.liquid': 'liquid',
+    'inspector.summary': 'Confidence {confidence} · issues: {issues} · {beer} full, score {score}',
+    'inspector.noIssues': 'none',
+    'inspector.edgeContrast': 'Edge contrast',
+    'inspector.edgeBrightness': 'Edge brightness',
+    'inspector.rowTransition': 'Row transition',
+    'inspector.minEdgeStrength': 'Min. edge strength',
+    'inspector.minColorDiff': 'Min. colour difference',
+    'inspector.rerun': 'Re-run',
+    'inspector.resetThresholds': 'Reset Thresholds',
+    
+    'share.text': 'I scored {score} splitting the G!'
+};
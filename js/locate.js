@@ -0,0 +1,235 @@
+// Glass localisation
+// Finds the glass in the frame before any level detection, so the rim, bottom and liquid scans
+// run where the glass actually is instead of inside the fixed guide outline.
+// Works on raw RGBA pixel data like the analyzer, so it also runs headlessly.
+
+// Limits for accepting a located glass
+export const locateLimits = {
+    minWidth: 0.12,        // Box must be at least 12% of the frame wide...
+    minHeight: 0.3,        // ...and 30% of the frame tall
+    maxCoverage: 0.9,      // A box this close to the whole frame found the background, not the glass
+    maxRotation: 15,       // Degrees; anything steeper is clutter rather than a leaning glass
+    minRotation: 1         // Degrees; smaller tilts aren't worth straightening
+};
+
+// Pixels that differ this much from the background colour, or have this strong a gradient,
+// are treated as part of the glass
+const BACKGROUND_DIFF = 60;
+const EDGE_THRESHOLD = 40;
+
+// Columns and rows need this share of the busiest one's foreground to belong to the glass
+const PROFILE_THRESHOLD = 0.25;
+
+// Padding around the silhouette so the rim and base edges fall inside the scan region
+const HORIZONTAL_PADDING = 0.08;
+const VERTICAL_PADDING = 0.05;
+
+// Locate the glass and return its region as fractions of the frame plus its lean in degrees,
+// or null when no convincing glass-shaped object stands out
+export function locateGlass(imageData, width, height) {
+    // A coarse grid is enough to find an object this size
+    const step = Math.max(1, Math.floor(width / 160));
+    const cols = Math.floor(width / step);
+    const rows = Math.floor(height / step);
+    
+    const gray = (x, y) => {
+        const idx = (y * width + x) * 4;
+        return (imageData[idx] + imageData[idx + 1] + imageData[idx + 2]) / 3;
+    };
+    
+    const background = estimateBackground(imageData, width, height, step);
+    const mask = new Uint8Array(cols * rows);
+    const columnCounts = new Array(cols).fill(0);
+    
+    for (let row = 1; row < rows - 1; row++) {
+        const y = row * step;
+        for (let col = 1; col < cols - 1; col++) {
+            const x = col * step;
+            const idx = (y * width + x) * 4;
+            const backgroundDiff = Math.abs(imageData[idx] - background.r) +
+                                   Math.abs(imageData[idx + 1] - background.g) +
+                                   Math.abs(imageData[idx + 2] - background.b);
+            const gradient = Math.abs(gray(x + step, y) - gray(x - step, y)) +
+                             Math.abs(gray(x, y + step) - gray(x, y - step));
+            
+            if (backgroundDiff > BACKGROUND_DIFF || gradient > EDGE_THRESHOLD) {
+                mask[row * cols + col] = 1;
+                columnCounts[col]++;
+            }
+        }
+    }
+    
+    // The glass is the strongest run of busy columns. Its empty top half is see-through, so rows
+    // aren't contiguous: the box spans every busy row (rim line, liquid, base) within those columns.
+    const columnRun = findStrongestRun(columnCounts);
+    if (!columnRun) return null;
+    
+    const rowCounts = new Array(rows).fill(0);
+    for (let row = 0; row < rows; row++) {
+        for (let col = columnRun.start; col < columnRun.end; col++) {
+            rowCounts[row] += mask[row * cols + col];
+        }
+    }
+    const rowRun = findExtent(rowCounts);
+    if (!rowRun) return null;
+    
+    const boxWidth = (columnRun.end - columnRun.start) / cols;
+    const boxHeight = (rowRun.end - rowRun.start) / rows;
+    if (boxWidth < locateLimits.minWidth || boxHeight < locateLimits.minHeight) return null;
+    if (boxWidth > locateLimits.maxCoverage && boxHeight > locateLimits.maxCoverage) return null;
+    
+    const rotation = estimateRotation(mask, cols, columnRun, rowRun);
+    
+    const padX = boxWidth * HORIZONTAL_PADDING;
+    const padY = boxHeight * VERTICAL_PADDING;
+    return {
+        left: Math.max(0, columnRun.start / cols - padX),
+        right: Math.min(1, columnRun.end / cols + padX),
+        top: Math.max(0, rowRun.start / rows - padY),
+        bottom: Math.min(1, rowRun.end / rows + padY),
+        rotation: Math.abs(rotation) <= locateLimits.maxRotation ? rotation : 0
+    };
+}
+
+// Per-channel median of the frame border, which is almost always background
+function estimateBackground(imageData, width, height, step) {
+    const r = [];
+    const g = [];
+    const b = [];
+    const sample = (x, y) => {
+        const idx = (y * width + x) * 4;
+        r.push(imageData[idx]);
+        g.push(imageData[idx + 1]);
+        b.push(imageData[idx + 2]);
+    };
+    
+    for (let x = 0; x < width; x += step) {
+        sample(x, 0);
+        sample(x, height - 1);
+    }
+    for (let y = 0; y < height; y += step) {
+        sample(0, y);
+        sample(width - 1, y);
+    }
+    
+    const median = (values) => {
+        values.sort((a, b) => a - b);
+        return values[Math.floor(values.length / 2)];
+    };
+    return { r: median(r), g: median(g), b: median(b) };
+}
+
+// Longest-by-total run of consecutive entries above the threshold, as [start, end)
+function findStrongestRun(counts) {
+    const threshold = Math.max(...counts) * PROFILE_THRESHOLD;
+    if (threshold <= 0) return null;
+    
+    let best = null;
+    let start = -1;
+    let total = 0;
+    for (let i = 0; i <= counts.length; i++) {
+        if (i < counts.length && counts[i] > threshold) {
+            if (start < 0) {
+                start = i;
+                total = 0;
+            }
+            total += counts[i];
+        } else if (start >= 0) {
+            if (!best || total > best.total) {
+                best = { start: start, end: i, total: total };
+            }
+            start = -1;
+        }
+    }
+    return best;
+}
+
+// First to last entry above the threshold, as [start, end)
+function findExtent(counts) {
+    const threshold = Math.max(...counts) * PROFILE_THRESHOLD;
+    if (threshold <= 0) return null;
+    
+    const start = counts.findIndex(count => count > threshold);
+    let end = counts.length;
+    while (counts[end - 1] <= threshold) end--;
+    return { start: start, end: end };
+}
+
+// Lean of the glass in degrees (positive = top leaning right), from a straight-line fit
+// through the middle of the silhouette on each row, skipping the rim and base
+function estimateRotation(mask, cols, columnRun, rowRun) {
+    const rowSpan = rowRun.end - rowRun.start;
+    const firstRow = Math.floor(rowRun.start + rowSpan * 0.2);
+    const lastRow = Math.ceil(rowRun.end - rowSpan * 0.2);
+    
+    // Allow the silhouette to lean slightly outside the detected columns
+    const margin = Math.floor((columnRun.end - columnRun.start) * 0.2);
+    const searchLeft = Math.max(0, columnRun.start - margin);
+    const searchRight = Math.min(cols, columnRun.end + margin);
+    
+    const spans = [];
+    for (let row = firstRow; row < lastRow; row++) {
+        let leftmost = -1;
+        let rightmost = -1;
+        for (let col = searchLeft; col < searchRight; col++) {
+            if (mask[row * cols + col]) {
+                if (leftmost < 0) leftmost = col;
+                rightmost = col;
+            }
+        }
+        if (leftmost >= 0) {
+            spans.push({ row: row, middle: (leftmost + rightmost) / 2, width: rightmost - leftmost });
+        }
+    }
+    
+    // Only rows filled from wall to wall: where a tilted liquid surface crosses a row,
+    // just one side is filled and its middle is pulled towards that side
+    const fullWidth = Math.max(0, ...spans.map(span => span.width)) * 0.85;
+    const fullRows = spans.filter(span => span.width >= fullWidth);
+    
+    let sumY = 0;
+    let sumX = 0;
+    let sumYY = 0;
+    let sumXY = 0;
+    for (const span of fullRows) {
+        sumY += span.row;
+        sumX += span.middle;
+        sumYY += span.row * span.row;
+        sumXY += span.row * span.middle;
+    }
+    
+    const n = fullRows.length;
+    const denominator = n * sumYY - sumY * sumY;
+    if (n < 3 || denominator === 0) return 0;
+    
+    // Slope of x against y; rows grow downwards, so a top leaning right has a negative slope
+    const slope = (n * sumXY - sumY * sumX) / denominator;
+    return Math.round(-Math.atan(slope) * 180 / Math.PI * 10) / 10;
+}
+
+// Rotate the frame about (centerX, centerY) to undo a lean of the given degrees (as from locateGlass).
+// Uses nearest-neighbour sampling; corners rotated in from outside the frame repeat the nearest edge pixel.
+export function straightenImage(imageData, width, height, degrees, centerX, centerY) {
+    const output = new Uint8ClampedArray(width * height * 4);
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Rotating the output point back by the lean finds its source pixel
+            const dx = x - centerX;
+            const dy = y - centerY;
+            const sourceX = Math.min(width - 1, Math.max(0, Math.round(centerX + dx * cos - dy * sin)));
+            const sourceY = Math.min(height - 1, Math.max(0, Math.round(centerY + dx * sin + dy * cos)));
+            
+            const outIdx = (y * width + x) * 4;
+            const inIdx = (sourceY * width + sourceX) * 4;
+            output[outIdx] = imageData[inIdx];
+            output[outIdx + 1] = imageData[inIdx + 1];
+            output[outIdx + 2] = imageData[inIdx + 2];
+            output[outIdx + 3] = imageData[inIdx + 3];
+        }
+    }
+    return output;
+}
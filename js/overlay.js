@@ -0,0 +1,191 @@
+// Overlay drawing
+// Each function draws onto the given 2D context using coordinates from an analysis result.
+
+// Function to draw debug visualization
+export function drawDebugVisualization(ctx, analysis) {
+    drawGlassLines(ctx, analysis);
+    drawDebugStrip(ctx, analysis.debugData);
+}
+
+// Shade the air, foam head and stout body zones inside the glass
+export function drawLiquidZones(ctx, analysis) {
+    const { glassTop, glassBottom, headTop, headBodyBoundary, bounds } = analysis;
+    const zoneWidth = bounds.right - bounds.left;
+    
+    ctx.fillStyle = 'rgba(135, 206, 235, 0.15)'; // Air
+    ctx.fillRect(bounds.left, glassTop, zoneWidth, headTop - glassTop);
+    
+    ctx.fillStyle = 'rgba(245, 222, 179, 0.35)'; // Foam head
+    ctx.fillRect(bounds.left, headTop, zoneWidth, headBodyBoundary - headTop);
+    
+    ctx.fillStyle = 'rgba(150, 75, 0, 0.25)'; // Stout body
+    ctx.fillRect(bounds.left, headBodyBoundary, zoneWidth, glassBottom - headBodyBoundary);
+}
+
+// Draw the detected rim, glass bottom and liquid level lines
+export function drawGlassLines(ctx, analysis) {
+    const { glassTop, glassBottom, liquidLevel, bounds } = analysis;
+    
+    // Draw single rim line at the highest point (glassTop is the higher of the two rim edges)
+    const highestRimPoint = glassTop;
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(0, 255, 255, 1)'; // Full opacity cyan
+    ctx.lineWidth = 2;
+    
+    // Single rim line at highest point
+    ctx.moveTo(bounds.left, highestRimPoint);
+    ctx.lineTo(bounds.right, highestRimPoint);
+    ctx.stroke();
+    
+    // Bottom line
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(0, 255, 255, 1)';
+    ctx.moveTo(bounds.left, glassBottom);
+    ctx.lineTo(bounds.right, glassBottom);
+    ctx.stroke();
+    
+    // Draw liquid level line
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(255, 165, 0, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.moveTo(bounds.left, liquidLevel);
+    ctx.lineTo(bounds.right, liquidLevel);
+    ctx.stroke();
+}
+
+// Outline the glass found by the locator (nothing when the guide outline was used)
+export function drawGlassBox(ctx, analysis) {
+    const box = analysis.glassBox;
+    if (!box) return;
+    
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 4]);
+    ctx.strokeRect(box.left, box.top, box.right - box.left, box.bottom - box.top);
+    ctx.restore();
+}
+
+// Draw the per-row detection strength as a strip along the right edge
+export function drawDebugStrip(ctx, debugData) {
+    const pointWidth = 3;
+    for (let y = 0; y < ctx.canvas.height; y++) {
+        const intensity = debugData[y];
+        if (intensity > 0.1) {
+            ctx.fillStyle = `rgba(255, 0, 0, ${intensity})`;
+            ctx.fillRect(ctx.canvas.width - 25, y - pointWidth/2, 20, pointWidth);
+        }
+    }
+}
+
+// Colours for the percentage brackets; the high-contrast set stays readable on any photo
+export const overlayPalettes = {
+    standard: {
+        empty: '#e74c3c',               // Red
+        beer: '#2ecc71',                // Green
+        labelBackground: 'rgba(0, 0, 0, 0.5)',
+        lineWidth: 3
+    },
+    highContrast: {
+        empty: '#ffff00',               // Yellow
+        beer: '#00ffff',                // Cyan
+        labelBackground: '#000000',
+        lineWidth: 5
+    }
+};
+
+// Function to draw brackets and percentages on the image
+export function drawPercentageOverlay(ctx, analysis, palette = overlayPalettes.standard) {
+    // Add semi-transparent background for better text visibility
+    ctx.fillStyle = palette.labelBackground;
+    
+    const { glassTop, glassBottom, liquidLevel, beerPercentage, emptyPercentage } = analysis;
+    if (!glassTop || !glassBottom || !liquidLevel) return;
+    
+    // Empty space bracket and percentage (from glass top to liquid)
+    ctx.beginPath();
+    ctx.strokeStyle = palette.empty;
+    ctx.lineWidth = palette.lineWidth;
+    // Left bracket for empty space
+    ctx.moveTo(10, glassTop);
+    ctx.lineTo(30, glassTop);
+    ctx.lineTo(30, liquidLevel);
+    ctx.lineTo(10, liquidLevel);
+    ctx.stroke();
+    
+    // Background for empty percentage
+    const emptyText = `${emptyPercentage}%`;
+    ctx.font = 'bold 24px Arial';
+    const emptyMetrics = ctx.measureText(emptyText);
+    const emptyY = glassTop + (liquidLevel - glassTop) / 2;
+    ctx.fillRect(35, emptyY - 20, emptyMetrics.width + 10, 30);
+    
+    // Empty percentage text
+    ctx.fillStyle = palette.empty;
+    ctx.fillText(emptyText, 40, emptyY);
+    
+    // Beer space bracket and percentage
+    ctx.beginPath();
+    ctx.strokeStyle = palette.beer;
+    // Left bracket for beer
+    ctx.moveTo(10, liquidLevel);
+    ctx.lineTo(30, liquidLevel);
+    ctx.lineTo(30, glassBottom);
+    ctx.lineTo(10, glassBottom);
+    ctx.stroke();
+    
+    // Background for beer percentage
+    const beerText = `${beerPercentage}%`;
+    const beerY = liquidLevel + (glassBottom - liquidLevel) / 2;
+    const beerMetrics = ctx.measureText(beerText);
+    ctx.fillStyle = palette.labelBackground;
+    ctx.fillRect(35, beerY - 20, beerMetrics.width + 10, 30);
+    
+    // Beer percentage text
+    ctx.fillStyle = palette.beer;
+    ctx.fillText(beerText, 40, beerY);
+}
+
+// Draw target line and G marker
+export function drawTargetLine(ctx, analysis) {
+    const { targetY, bounds, logo } = analysis;
+    
+    // Mark where the printed G was found and draw the split line through its bar
+    if (logo) {
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(logo.left - 3, logo.top - 3, logo.right - logo.left + 6, logo.bottom - logo.top + 6);
+        
+        ctx.beginPath();
+        ctx.setLineDash([6, 4]);
+        ctx.moveTo(bounds.left, targetY);
+        ctx.lineTo(bounds.right, targetY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        return;
+    }
+    
+    // Draw G marker in the middle with enhanced visibility
+    ctx.font = 'bold 32px Arial'; // Larger, bolder font
+    ctx.fillStyle = '#FFFFFF'; // White color
+    
+    // Add subtle shadow for better contrast
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)'; // Darker shadow for white text
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+    
+    // No logo found, so mark the 60% fallback target in the centre
+    const centerX = bounds.centerX;
+    ctx.textAlign = 'center'; // Center the text
+    ctx.textBaseline = 'middle'; // This will center the G vertically at the target point
+    ctx.fillText('G', centerX, targetY);
+    
+    // Reset shadow and text alignment
+    ctx.shadowColor = 'transparent';
+    ctx.shadowBlur = 0;
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = 0;
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'alphabetic';
+}
@@ -0,0 +1,164 @@
+// Pre-capture quality check
+// Watches the camera feed before a photo is taken and reports what would spoil it:
+// darkness, overexposure, glare, blur or movement, and a glass that doesn't fill the guide.
+
+import { analysisRegions, measureImageQuality, qualityLimits } from './analyzer.js';
+
+// Frames are checked at a reduced size to keep up with the camera
+const SAMPLE_WIDTH = 320;
+const SAMPLE_HEIGHT = 240;
+
+// Minimum time between checked frames (ms)
+const CHECK_INTERVAL = 250;
+
+// Consecutive good checks needed before auto-capture fires (about a second)
+const STEADY_CHECKS = 4;
+
+export const precheckLimits = {
+    maxBrightness: 215,    // Mean brightness (0-255) above which the guide area is washed out
+    glarePixel: 245,       // A pixel this bright in every channel is a glare hotspot...
+    maxGlare: 0.03,        // ...and more than 3% of the guide area in hotspots is too much glare
+    maxMotion: 12,         // Mean brightness change from the previous check that means the camera is moving
+    darkPixel: 70,         // Brightness below which a pixel counts as stout
+    minDarkHeight: 0.2,    // The dark body must span at least 20% of the frame height
+    minDarkShare: 0.04     // ...and cover at least 4% of the guide area
+};
+
+// Check one RGBA frame. previousGray is the grayscale of the last checked frame (or null),
+// used to spot movement; the new grayscale is returned for the next call.
+export function assessFrame(imageData, width, height, previousGray) {
+    const left = Math.floor(width * analysisRegions.left);
+    const right = Math.floor(width * analysisRegions.right);
+    const top = Math.floor(height * analysisRegions.top);
+    const bottom = Math.floor(height * analysisRegions.bottom);
+    
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = (imageData[i * 4] + imageData[i * 4 + 1] + imageData[i * 4 + 2]) / 3;
+    }
+    
+    // Glare hotspots, movement and the dark stout body inside the guide area
+    let glarePixels = 0;
+    let motionSum = 0;
+    let darkPixels = 0;
+    let darkTop = height;
+    let darkBottom = -1;
+    let count = 0;
+    for (let y = top; y < bottom; y++) {
+        let darkInRow = 0;
+        for (let x = left; x < right; x++) {
+            const i = y * width + x;
+            const idx = i * 4;
+            if (imageData[idx] > precheckLimits.glarePixel &&
+                imageData[idx + 1] > precheckLimits.glarePixel &&
+                imageData[idx + 2] > precheckLimits.glarePixel) {
+                glarePixels++;
+            }
+            if (previousGray) {
+                motionSum += Math.abs(gray[i] - previousGray[i]);
+            }
+            if (gray[i] < precheckLimits.darkPixel) {
+                darkInRow++;
+            }
+            count++;
+        }
+        darkPixels += darkInRow;
+        // Rows where a good part of the guide width is dark belong to the body
+        if (darkInRow > (right - left) * 0.2) {
+            darkTop = Math.min(darkTop, y);
+            darkBottom = y;
+        }
+    }
+    
+    const { brightness, sharpness } = measureImageQuality(imageData, width, height, left, top, right, bottom);
+    const metrics = {
+        brightness: brightness,
+        sharpness: sharpness,
+        glare: glarePixels / count,
+        motion: previousGray ? motionSum / count : 0,
+        darkShare: darkPixels / count,
+        darkHeight: darkBottom >= darkTop ? (darkBottom - darkTop + 1) / height : 0
+    };
+    
+    return {
+        status: getStatus(metrics),
+        metrics: metrics,
+        gray: gray
+    };
+}
+
+// Status codes, worst first. The message shown over the camera view for each is
+// 'precheck.<status>' in the locale catalogs.
+function getStatus(metrics) {
+    if (metrics.brightness < qualityLimits.minBrightness) return 'too-dark';
+    if (metrics.brightness > precheckLimits.maxBrightness) return 'too-bright';
+    if (metrics.glare > precheckLimits.maxGlare) return 'glare';
+    if (metrics.motion > precheckLimits.maxMotion) return 'moving';
+    if (metrics.sharpness < qualityLimits.minSharpness) return 'blurry';
+    if (metrics.darkShare < precheckLimits.minDarkShare) return 'no-glass';
+    if (metrics.darkHeight < precheckLimits.minDarkHeight) return 'move-closer';
+    return 'ok';
+}
+
+// Check the video continuously while isActive() returns true and report each status to
+// onStatus(status) (null while inactive). onSteady() is called once conditions have stayed
+// good for about a second; it fires again only after a bad check.
+export function createQualityMonitor(video, isActive, onStatus, onSteady) {
+    const sampleCanvas = document.createElement('canvas');
+    sampleCanvas.width = SAMPLE_WIDTH;
+    sampleCanvas.height = SAMPLE_HEIGHT;
+    const sampleCtx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+    
+    let frameId = null;
+    let lastCheckTime = 0;
+    let previousGray = null;
+    let goodChecks = 0;
+    let wasActive = false;
+    
+    function tick(time) {
+        frameId = requestAnimationFrame(tick);
+        if (time - lastCheckTime < CHECK_INTERVAL) {
+            return;
+        }
+        lastCheckTime = time;
+        
+        if (!isActive() || video.readyState < 2) {
+            if (wasActive) {
+                onStatus(null);
+            }
+            wasActive = false;
+            previousGray = null;
+            goodChecks = 0;
+            return;
+        }
+        wasActive = true;
+        
+        sampleCtx.drawImage(video, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+        const imageData = sampleCtx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+        const check = assessFrame(imageData.data, SAMPLE_WIDTH, SAMPLE_HEIGHT, previousGray);
+        previousGray = check.gray;
+        onStatus(check.status);
+        
+        goodChecks = check.status === 'ok' ? goodChecks + 1 : 0;
+        if (goodChecks === STEADY_CHECKS) {
+            onSteady();
+        }
+    }
+    
+    function start() {
+        if (frameId !== null) return;
+        frameId = requestAnimationFrame(tick);
+    }
+    
+    function stop() {
+        if (frameId === null) return;
+        cancelAnimationFrame(frameId);
+        frameId = null;
+        onStatus(null);
+    }
+    
+    return {
+        start: start,
+        stop: stop
+    };
+}
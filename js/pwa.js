@@ -0,0 +1,59 @@
+// Offline support and installing
+// Registers the service worker, reports when a new version is waiting, and wraps the
+// browser's install prompt so the app can offer its own Install button.
+
+// Register sw.js and call onUpdateReady(applyUpdate) when a new version has been downloaded.
+// applyUpdate switches to the new version and reloads the page.
+export function registerServiceWorker(onUpdateReady) {
+    if (!('serviceWorker' in navigator)) return;
+    
+    const offerUpdate = (worker) => {
+        onUpdateReady(() => worker.postMessage({ type: 'SKIP_WAITING' }));
+    };
+    
+    // Reload once the new worker has taken over, but not on the very first install
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+    
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+            
+            // An update may already be waiting from an earlier visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    }
+                });
+            });
+        } catch (err) {
+            console.error('Service worker registration failed:', err);
+        }
+    });
+}
+
+// Call onInstallable(install) when the browser allows installing to the home screen,
+// and onInstalled() once it has been installed
+export function watchInstallPrompt(onInstallable, onInstalled) {
+    window.addEventListener('beforeinstallprompt', (e) => {
+        // Keep the prompt for our own button instead of the browser's mini-infobar
+        e.preventDefault();
+        onInstallable(async () => {
+            e.prompt();
+            const choice = await e.userChoice;
+            return choice.outcome === 'accepted';
+        });
+    });
+    window.addEventListener('appinstalled', onInstalled);
+}
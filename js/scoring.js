@@ -0,0 +1,69 @@
+// Scoring rules
+// A rule set is a named preset curve plus an optional custom target and separate penalties
+// for leaving too much beer (under-drinking) and drinking past the line (over-drinking).
+
+// Each curve is a list of segments: up to `upTo` percentage points off the target, the score
+// starts at `start` and loses `perPoint` for every point past the previous segment.
+// Feedback thresholds are the scores needed for each feedback message, best first.
+export const scoringPresets = {
+    casual: {
+        curve: [
+            { upTo: 5, start: 100, perPoint: 1 },
+            { upTo: 15, start: 95, perPoint: 1.5 },
+            { upTo: Infinity, start: 80, perPoint: 2.5 }
+        ],
+        feedbackThresholds: [90, 75, 55, 35]
+    },
+    classic: {
+        curve: [
+            { upTo: 2, start: 100, perPoint: 2.5 },   // 58-62%: Very high scores (95-100%)
+            { upTo: 5, start: 95, perPoint: 1.67 },   // 55-65%: High scores (90-95%)
+            { upTo: 10, start: 90, perPoint: 2 },     // 50-70%: Good scores (80-90%)
+            { upTo: Infinity, start: 80, perPoint: 4 } // Beyond 10% difference: rapidly decreasing scores
+        ],
+        feedbackThresholds: [95, 85, 70, 50]
+    },
+    pro: {
+        curve: [
+            { upTo: 1, start: 100, perPoint: 5 },
+            { upTo: 3, start: 95, perPoint: 7.5 },
+            { upTo: Infinity, start: 80, perPoint: 10 }
+        ],
+        feedbackThresholds: [97, 90, 75, 50]
+    }
+};
+
+export const defaultScoringRules = {
+    preset: 'classic',
+    customTarget: null,     // Percentage to aim for instead of the detected G / 60% line
+    underDrinkPenalty: 1,   // Multiplier on the difference when too much beer is left
+    overDrinkPenalty: 1     // Multiplier on the difference when the level is below the target
+};
+
+// Unknown presets fall back to classic. Only own keys count, so a stored or linked preset such
+// as 'constructor' can't pick up something from Object.prototype.
+export function getPreset(rules) {
+    return Object.hasOwn(scoringPresets, rules.preset) ? scoringPresets[rules.preset] : scoringPresets.classic;
+}
+
+// Score a fill percentage against the target under the given rules
+export function calculateScore(percentage, targetPercentage, rules = defaultScoringRules) {
+    const settings = { ...defaultScoringRules, ...rules };
+    
+    // Calculate how far off from the target we are, weighted by which side we missed on
+    const penalty = percentage > targetPercentage ? settings.underDrinkPenalty : settings.overDrinkPenalty;
+    const percentageDifference = Math.abs(percentage - targetPercentage) * penalty;
+    
+    let score = 0;
+    let segmentStart = 0;
+    for (const segment of getPreset(settings).curve) {
+        if (percentageDifference <= segment.upTo) {
+            score = segment.start - (percentageDifference - segmentStart) * segment.perPoint;
+            break;
+        }
+        segmentStart = segment.upTo;
+    }
+    
+    // Round to nearest integer
+    return Math.round(Math.max(0, score));
+}
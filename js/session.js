@@ -0,0 +1,105 @@
+// Pub-night sessions
+// Players take turns over a number of rounds. The session is saved to localStorage after
+// every change so a reload or dropped phone doesn't lose the night.
+
+const STORAGE_KEY = 'splitTheG.session';
+
+// Start a new session; the scoring rules are fixed for the whole night
+export function createSession(players, rounds, scoring) {
+    return {
+        players: players,
+        rounds: rounds,
+        scoring: scoring,
+        round: 1,
+        turn: 0,
+        results: [],
+        finished: false,
+        startedAt: Date.now()
+    };
+}
+
+// Whose turn it is
+export function getCurrentPlayer(session) {
+    return session.players[session.turn];
+}
+
+// Record the current player's score and move on to the next turn
+export function recordTurn(session, analysis) {
+    session.results.push({
+        round: session.round,
+        player: getCurrentPlayer(session),
+        score: analysis.score,
+        distance: Math.abs(analysis.scoredPercentage - analysis.scoredTargetPercentage),
+        manuallyAdjusted: Boolean(analysis.manuallyAdjusted)
+    });
+    
+    session.turn++;
+    if (session.turn >= session.players.length) {
+        session.turn = 0;
+        session.round++;
+    }
+    if (session.round > session.rounds) {
+        session.finished = true;
+    }
+    return session;
+}
+
+// Replace the score of an already recorded turn, e.g. after the lines were corrected by hand
+export function updateTurnResult(session, index, analysis) {
+    const result = session.results[index];
+    if (result) {
+        result.score = analysis.score;
+        result.distance = Math.abs(analysis.scoredPercentage - analysis.scoredTargetPercentage);
+        result.manuallyAdjusted = Boolean(analysis.manuallyAdjusted);
+    }
+    return session;
+}
+
+// A player's result for a round, if they've had their turn
+export function getTurnResult(session, player, round) {
+    return session.results.find(result => result.player === player && result.round === round);
+}
+
+// Totals per player, best first. Equal totals are split by total distance from the target
+// (closer wins); players still level share a rank.
+export function getLeaderboard(session) {
+    const standings = session.players.map(player => {
+        const playerResults = session.results.filter(result => result.player === player);
+        return {
+            player: player,
+            total: playerResults.reduce((sum, result) => sum + result.score, 0),
+            distance: playerResults.reduce((sum, result) => sum + result.distance, 0),
+            turns: playerResults.length
+        };
+    });
+    
+    standings.sort((a, b) => b.total - a.total || a.distance - b.distance);
+    standings.forEach((standing, i) => {
+        const previous = standings[i - 1];
+        const tied = previous && previous.total === standing.total && previous.distance === standing.distance;
+        standing.rank = tied ? previous.rank : i + 1;
+    });
+    return standings;
+}
+
+// Load the session in progress, if any
+export function loadSession() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (err) {
+        console.log('Could not read saved session:', err);
+        return null;
+    }
+}
+
+export function saveSession(session) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } catch (err) {
+        console.log('Could not save session:', err);
+    }
+}
+
+export function clearSession() {
+    localStorage.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,50 @@
+// User settings
+// Kept in localStorage so choices survive between visits.
+
+import { defaultScoringRules } from './scoring.js';
+import { defaultCameraSettings } from './camera.js';
+import { detectionThresholds } from './analyzer.js';
+
+const STORAGE_KEY = 'splitTheG.settings';
+
+export const defaultSettings = {
+    splitBoundary: 'body',
+    playerName: '',
+    glassProfile: 'tulip',
+    customTaper: 0.8,
+    scoreBy: 'height',
+    scoring: defaultScoringRules,
+    camera: defaultCameraSettings,
+    autoCapture: false,
+    highContrast: false,
+    language: '',
+    burstCapture: false,
+    showInspector: false,
+    thresholds: detectionThresholds
+};
+
+// Load saved settings, filling in defaults for anything missing
+export function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return {
+            ...defaultSettings,
+            ...saved,
+            scoring: { ...defaultScoringRules, ...saved.scoring },
+            camera: { ...defaultCameraSettings, ...saved.camera },
+            thresholds: { ...detectionThresholds, ...saved.thresholds }
+        };
+    } catch (err) {
+        console.log('Could not read saved settings, using defaults:', err);
+        return { ...defaultSettings, scoring: { ...defaultScoringRules }, camera: { ...defaultCameraSettings }, thresholds: { ...detectionThresholds } };
+    }
+}
+
+// Save settings for the next visit
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.log('Could not save settings:', err);
+    }
+}
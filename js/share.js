@@ -0,0 +1,131 @@
+// Shareable result card
+// Renders the annotated glass, score and feedback into a PNG for sharing in a group chat.
+
+import { t, formatNumber, getLocale } from './i18n.js';
+
+const CARD_WIDTH = 720;
+const CARD_HEIGHT = 960;
+const SITE_URL = 'www.split-the-g.club';
+
+// Two decimals, as on the result screen
+function formatScore(score) {
+    return formatNumber(score, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Offscreen canvas where supported, otherwise a detached <canvas>
+function createCardCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function canvasToPngBlob(canvas) {
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type: 'image/png' });
+    }
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+// Break text into lines that fit maxWidth
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width > maxWidth && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+// Draw the branded card around the annotated result image
+export function renderResultCard(resultCanvas, { score, feedback, rules, player, date, manuallyAdjusted }) {
+    const card = createCardCanvas(CARD_WIDTH, CARD_HEIGHT);
+    const ctx = card.getContext('2d');
+    const centerX = CARD_WIDTH / 2;
+    
+    // Background and title
+    ctx.fillStyle = '#1b1b1b';
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#e0b877';
+    ctx.font = 'bold 56px "Helvetica Neue", Arial, sans-serif';
+    ctx.fillText('Split the G', centerX, 80);
+    
+    // Annotated glass
+    const imageWidth = CARD_WIDTH - 80;
+    const imageHeight = Math.round(imageWidth * resultCanvas.height / resultCanvas.width);
+    ctx.drawImage(resultCanvas, 40, 110, imageWidth, imageHeight);
+    
+    // Score
+    let y = 110 + imageHeight + 90;
+    ctx.fillStyle = '#e0b877';
+    ctx.font = 'bold 88px "Helvetica Neue", Arial, sans-serif';
+    ctx.fillText(formatScore(score), centerX, y);
+    
+    // Feedback
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '30px "Helvetica Neue", Arial, sans-serif';
+    wrapText(ctx, feedback, CARD_WIDTH - 80).forEach(line => {
+        y += 44;
+        ctx.fillText(line, centerX, y);
+    });
+    
+    // Rules, player, date and site
+    ctx.fillStyle = '#888888';
+    ctx.font = '24px "Helvetica Neue", Arial, sans-serif';
+    ctx.fillText(rules, centerX, CARD_HEIGHT - 95);
+    const bylineParts = [player, date.toLocaleDateString(getLocale()), manuallyAdjusted ? t('attempt.adjusted') : null];
+    const byline = bylineParts.filter(Boolean).join(' · ');
+    ctx.fillText(byline, centerX, CARD_HEIGHT - 60);
+    ctx.fillText(SITE_URL, centerX, CARD_HEIGHT - 25);
+    
+    return card;
+}
+
+// Share the card through the Web Share API, or download it where file sharing isn't supported
+export async function shareResultCard(card, score) {
+    const blob = await canvasToPngBlob(card);
+    const fileName = `split-the-g-${Date.now()}.png`;
+    const file = new File([blob], fileName, { type: 'image/png' });
+    const shareData = {
+        files: [file],
+        title: 'Split the G',
+        text: t('share.text', { score: formatScore(score) })
+    };
+    
+    if (navigator.canShare && navigator.canShare({ files: shareData.files })) {
+        try {
+            await navigator.share(shareData);
+            return 'shared';
+        } catch (err) {
+            // Closing the share sheet isn't an error worth falling back for
+            if (err.name === 'AbortError') {
+                return 'cancelled';
+            }
+            console.log('Share failed, downloading instead:', err);
+        }
+    }
+    
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return 'downloaded';
+}
@@ -0,0 +1,49 @@
+// Per-player statistics
+// Pure functions over stored attempts, so they can be checked without a browser.
+
+// Scores at or above this count towards a streak
+export const STREAK_SCORE = 85;
+
+// Group attempts by player, keeping each player's attempts oldest first
+export function groupByPlayer(attempts) {
+    const groups = new Map();
+    [...attempts]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(attempt => {
+            if (!groups.has(attempt.player)) {
+                groups.set(attempt.player, []);
+            }
+            groups.get(attempt.player).push(attempt);
+        });
+    return groups;
+}
+
+// Current and longest runs of consecutive attempts scoring at least STREAK_SCORE
+export function getStreaks(scores) {
+    let current = 0;
+    let longest = 0;
+    scores.forEach(score => {
+        current = score >= STREAK_SCORE ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    });
+    return { current: current, longest: longest };
+}
+
+// Best, average and streaks for every player, best player first
+export function getPlayerStats(attempts) {
+    const stats = [];
+    groupByPlayer(attempts).forEach((playerAttempts, player) => {
+        const scores = playerAttempts.map(attempt => attempt.score);
+        const total = scores.reduce((sum, score) => sum + score, 0);
+        const streaks = getStreaks(scores);
+        stats.push({
+            player: player,
+            attempts: scores.length,
+            best: Math.max(...scores),
+            average: Math.round((total / scores.length) * 10) / 10,
+            currentStreak: streaks.current,
+            longestStreak: streaks.longest
+        });
+    });
+    return stats.sort((a, b) => b.best - a.best || b.average - a.average);
+}
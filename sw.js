@@ -0,0 +1,96 @@
+// Service worker
+// Precaches the whole app so it keeps working without a connection.
+// Bump VERSION on every deploy: the new worker then fills a fresh cache and the page offers a reload.
+
+const VERSION = '1.1.0';
+const CACHE_NAME = `split-the-g-${VERSION}`;
+
+// Everything the app needs to start offline (test/precache.test.js checks it against js/ and icons/)
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'js/analysis-client.js',
+    'js/analysis-worker.js',
+    'js/analyzer.js',
+    'js/burst.js',
+    'js/app.js',
+    'js/camera.js',
+    'js/challenge.js',
+    'js/chart.js',
+    'js/clip.js',
+    'js/export.js',
+    'js/glass-profiles.js',
+    'js/history.js',
+    'js/i18n.js',
+    'js/inspector.js',
+    'js/live.js',
+    'js/locales/de.js',
+    'js/locales/en.js',
+    'js/locate.js',
+    'js/overlay.js',
+    'js/precheck.js',
+    'js/pwa.js',
+    'js/scoring.js',
+    'js/session.js',
+    'js/settings.js',
+    'js/share.js',
+    'js/stats.js'
+];
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left behind by older versions
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys
+                .filter(key => key.startsWith('split-the-g-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))
+        )).then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Cache first for the app's own files; pages fall back to the cached index.html when offline
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            const cached = await cache.match(request, { ignoreSearch: true });
+            if (cached) {
+                return cached;
+            }
+            try {
+                return await fetch(request);
+            } catch (err) {
+                if (request.mode === 'navigate') {
+                    return cache.match('index.html');
+                }
+                throw err;
+            }
+        })
+    );
+});
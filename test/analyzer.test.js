@@ -0,0 +1,242 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    analyzeImage, analyzeBeerLevel, assessConfidence, findLiquidZones, analysisRegions, qualityLimits
+} from '../js/analyzer.js';
+import { WIDTH, HEIGHT, pint, createFrame, drawPint, drawLogo } from './fixtures.js';
+
+test('scores a plain pint against the 60% line', () => {
+    const pixels = createFrame();
+    drawPint(pixels);
+    const analysis = analyzeImage(pixels, WIDTH, HEIGHT);
+    
+    assert.equal(analysis.usable, true);
+    assert.equal(analysis.logo, null);
+    assert.equal(analysis.beerPercentage, 50);
+    assert.equal(analysis.targetPercentage, 60);
+    assert.equal(analysis.score, 80);
+});
+
+// The G's bar sits 14px below the top of the print, whatever the stroke width
+for (const [name, strokeWidth] of [['thin', 2], ['regular', 4], ['bold', 6]]) {
+    test(`aims for the bar of a ${name} G printed on the stout`, () => {
+        const logoTop = pint.body + 20;
+        const pixels = createFrame();
+        drawPint(pixels);
+        drawLogo(pixels, logoTop, strokeWidth);
+        const analysis = analyzeImage(pixels, WIDTH, HEIGHT);
+        
+        assert.equal(analysis.usable, true);
+        assert.notEqual(analysis.logo, null);
+        assert.ok(Math.abs(analysis.logo.barY - (logoTop + 14)) <= strokeWidth, `bar found at row ${analysis.logo.barY}`);
+        assert.equal(analysis.targetY, analysis.logo.barY);
+    });
+}
+
+// Evidence from a clear photo of a pint filling most of the frame; each case below spoils one part
+const clearEvidence = {
+    bodyFound: true,
+    repeatingTexture: false,
+    height: 480,
+    leftRimFound: true,
+    rightRimFound: true,
+    leftRimTop: 60,
+    rightRimTop: 60,
+    bottomEdgeStrength: 0.2,
+    liquidTransition: 90,
+    minColorDiff: 30,
+    glassHeight: 340,
+    brightness: 120,
+    sharpness: 100
+};
+
+test('trusts clear evidence fully', () => {
+    assert.deepEqual(assessConfidence(clearEvidence), { confidence: 1, issues: [] });
+});
+
+for (const [description, changes, issues] of [
+    ['no rim on either side', { leftRimFound: false, rightRimFound: false }, ['no-rim']],
+    ['a weak bottom edge', { bottomEdgeStrength: qualityLimits.minBottomEdgeStrength - 0.01 }, ['no-bottom']],
+    ['no liquid transition', { liquidTransition: 0 }, ['no-liquid']],
+    ['no dark stout below the head', { bodyFound: false }, ['no-liquid']],
+    ['a glass under 30% of the frame', { glassHeight: 143 }, ['glass-too-small']],
+    ['a dark photo', { brightness: qualityLimits.minBrightness - 1 }, ['too-dark']],
+    ['a blurry photo', { sharpness: qualityLimits.minSharpness - 1 }, ['blurry']],
+    ['rims more than 10% of the glass apart', { leftRimTop: 60, rightRimTop: 95 }, ['tilted']]
+]) {
+    test(`reports ${description}`, () => {
+        const { confidence, issues: found } = assessConfidence({ ...clearEvidence, ...changes });
+        assert.deepEqual(found, issues);
+        assert.ok(confidence < 1, `confidence ${confidence}`);
+    });
+}
+
+test('accepts evidence right at each limit', () => {
+    const { issues } = assessConfidence({
+        ...clearEvidence,
+        bottomEdgeStrength: qualityLimits.minBottomEdgeStrength,
+        glassHeight: 480 * qualityLimits.minGlassHeight,
+        brightness: qualityLimits.minBrightness,
+        sharpness: qualityLimits.minSharpness
+    });
+    assert.deepEqual(issues, []);
+    // 10% of the 340px glass
+    assert.deepEqual(assessConfidence({ ...clearEvidence, rightRimTop: 94 }).issues, []);
+});
+
+test('a rim found on one side only lowers confidence without an issue', () => {
+    assert.deepEqual(assessConfidence({ ...clearEvidence, rightRimFound: false, rightRimTop: 200 }),
+        { confidence: 0.6, issues: [] });
+});
+
+test('a rim and bottom on a repeating texture fall below the usable confidence', () => {
+    const { confidence, issues } = assessConfidence({ ...clearEvidence, repeatingTexture: true });
+    assert.deepEqual(issues, []);
+    assert.ok(confidence < qualityLimits.minConfidence, `confidence ${confidence}`);
+});
+
+const glassTop = pint.rim;
+const glassBottom = pint.bottom;
+const windowSize = 5;
+const minColorDiff = 30;
+
+// The per-row signals analyzeBeerLevel measures down a grey glass made of bands of rows,
+// given as [[firstRow, brightness], ...] from the top
+function getColumnSignals(bands) {
+    const column = Array.from({ length: HEIGHT }, (_, y) => bands.filter(([from]) => from <= y).pop()[1]);
+    const windowMean = (from) =>
+        column.slice(from, from + windowSize).reduce((sum, value) => sum + value, 0) / windowSize;
+    
+    const signals = {
+        transitionStrength: new Array(HEIGHT).fill(0),
+        brightnessStep: new Array(HEIGHT).fill(0),
+        windowBrightness: new Array(HEIGHT).fill(0)
+    };
+    for (let y = windowSize; y < HEIGHT - windowSize; y++) {
+        const step = windowMean(y - windowSize) - windowMean(y);
+        // Brightness plus the three equal channels
+        signals.transitionStrength[y] = Math.abs(step) * 4;
+        signals.brightnessStep[y] = step;
+        signals.windowBrightness[y] = windowMean(y);
+    }
+    return signals;
+}
+
+function findZones(bands, strongestTransition = glassBottom) {
+    return findLiquidZones(getColumnSignals(bands), glassTop, glassBottom, strongestTransition, minColorDiff, windowSize);
+}
+
+test('splits a pint into a foam head and stout body', () => {
+    assert.deepEqual(findZones([[0, 220], [pint.headTop, 235], [pint.body, 20]]),
+        { headTop: pint.headTop, headBodyBoundary: pint.body, bodyFound: true });
+});
+
+test('a pint with no foam has no head', () => {
+    const zones = findZones([[0, 220], [pint.body, 20]]);
+    assert.equal(zones.headBodyBoundary, pint.body);
+    assert.equal(zones.headTop, zones.headBodyBoundary);
+    assert.equal(zones.bodyFound, true);
+});
+
+test('a head top more than 35% of the glass above the boundary is not the head', () => {
+    // 130px of foam in a 340px glass
+    const zones = findZones([[0, 220], [pint.body - 130, 235], [pint.body, 20]]);
+    assert.equal(zones.headBodyBoundary, pint.body);
+    assert.equal(zones.headTop, pint.body);
+});
+
+test('the boundary is the strongest step to something darker', () => {
+    // A light print on the stout is a weaker step down; the bright base is a stronger step up
+    const zones = findZones([[0, 220], [pint.headTop, 235], [pint.body, 20], [300, 120], [310, 20], [390, 255]]);
+    assert.equal(zones.headBodyBoundary, pint.body);
+    assert.equal(zones.headTop, pint.headTop);
+    assert.equal(zones.bodyFound, true);
+});
+
+test('a step down to something that is not stout is not a body', () => {
+    const zones = findZones([[0, 220], [pint.body, 150]]);
+    assert.equal(zones.headBodyBoundary, pint.body);
+    assert.equal(zones.bodyFound, false);
+});
+
+test('falls back to the strongest transition when nothing gets darker', () => {
+    assert.deepEqual(findZones([[0, 120], [pint.body, 220]], pint.body),
+        { headTop: pint.body, headBodyBoundary: pint.body, bodyFound: false });
+});
+
+// The liquid scan before it used prefix sums: average both windows pixel by pixel at every row
+function scanWindowsPerPixel(pixels, startX, endX, glassTop, glassBottom) {
+    const signals = {
+        transitionStrength: new Array(HEIGHT).fill(0),
+        brightnessStep: new Array(HEIGHT).fill(0),
+        windowBrightness: new Array(HEIGHT).fill(0)
+    };
+    let strongestTransition = glassBottom;
+    let maxTransition = 0;
+    for (let y = glassBottom - windowSize; y > glassTop + windowSize; y--) {
+        const current = { brightness: 0, r: 0, g: 0, b: 0 };
+        const above = { brightness: 0, r: 0, g: 0, b: 0 };
+        for (let x = startX; x < endX; x++) {
+            for (let wy = 0; wy < windowSize; wy++) {
+                [[current, y + wy], [above, y - windowSize + wy]].forEach(([sums, row]) => {
+                    const idx = (row * WIDTH + x) * 4;
+                    sums.brightness += (pixels[idx] + pixels[idx + 1] + pixels[idx + 2]) / 3;
+                    sums.r += pixels[idx];
+                    sums.g += pixels[idx + 1];
+                    sums.b += pixels[idx + 2];
+                });
+            }
+        }
+        const n = (endX - startX) * windowSize;
+        const [currentAvg, aboveAvg] = [current, above].map(sums =>
+            Object.fromEntries(Object.entries(sums).map(([key, sum]) => [key, sum / n])));
+        
+        const colorDiff = Math.abs(currentAvg.brightness - aboveAvg.brightness) +
+            Math.abs(currentAvg.r - aboveAvg.r) +
+            Math.abs(currentAvg.g - aboveAvg.g) +
+            Math.abs(currentAvg.b - aboveAvg.b);
+        signals.transitionStrength[y] = colorDiff;
+        signals.brightnessStep[y] = aboveAvg.brightness - currentAvg.brightness;
+        signals.windowBrightness[y] = currentAvg.brightness;
+        if (colorDiff > minColorDiff && colorDiff > maxTransition) {
+            maxTransition = colorDiff;
+            strongestTransition = y;
+        }
+    }
+    return { signals, strongestTransition };
+}
+
+const scanScenes = {
+    'a plain pint': (pixels) => drawPint(pixels),
+    'a pint with a thin G': (pixels) => {
+        drawPint(pixels);
+        drawLogo(pixels, pint.body + 20, 2);
+    },
+    'a pint with a bold G': (pixels) => {
+        drawPint(pixels);
+        drawLogo(pixels, pint.body + 20, 6);
+    }
+};
+
+for (const [name, drawScene] of Object.entries(scanScenes)) {
+    test(`the prefix-sum liquid scan matches the per-pixel windows on ${name}`, () => {
+        const pixels = createFrame();
+        drawScene(pixels);
+        const analysis = analyzeBeerLevel(pixels, WIDTH, HEIGHT);
+        
+        // The middle third of the guide area, as analyzeBeerLevel samples it
+        const guideWidth = (analysisRegions.right - analysisRegions.left) * WIDTH;
+        const startX = Math.floor(WIDTH * analysisRegions.left + guideWidth * 0.33);
+        const endX = Math.floor(WIDTH * analysisRegions.left + guideWidth * 0.66);
+        const { glassTop: top, glassBottom: bottom } = analysis;
+        const { signals, strongestTransition } = scanWindowsPerPixel(pixels, startX, endX, top, bottom);
+        
+        signals.transitionStrength.forEach((strength, y) => {
+            assert.ok(Math.abs(analysis.signals.transitionStrength[y] - strength) < 1e-9, `row ${y}`);
+        });
+        const zones = findLiquidZones(signals, top, bottom, strongestTransition, minColorDiff, windowSize);
+        assert.equal(analysis.headTop, zones.headTop);
+        assert.equal(analysis.headBodyBoundary, zones.headBodyBoundary);
+        assert.equal(analysis.liquidLevel, zones.headBodyBoundary);
+    });
+}
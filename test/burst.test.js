@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeImage } from '../js/analyzer.js';
+import { combineBurst } from '../js/burst.js';
+import { WIDTH, HEIGHT, createFrame, drawPint } from './fixtures.js';
+
+const pixels = createFrame();
+drawPint(pixels);
+const pintAnalysis = analyzeImage(pixels, WIDTH, HEIGHT);
+const { glassTop, glassBottom } = pintAnalysis;
+
+// A frame of the fixture pint read at a different level (fraction of the glass height)
+function createFrameAnalysis(beerLevel, sharpness = 100, changes = {}) {
+    return { ...pintAnalysis, beerLevel: beerLevel, sharpness: sharpness, ...changes };
+}
+
+function getLevelY(beerLevel) {
+    return Math.round(glassBottom - beerLevel * (glassBottom - glassTop));
+}
+
+test('scores the median level of the agreeing frames on the sharpest one', () => {
+    const { frameIndex, analysis } = combineBurst([
+        createFrameAnalysis(0.5),
+        createFrameAnalysis(0.51),
+        createFrameAnalysis(0.49, 300),
+        createFrameAnalysis(0.5),
+        createFrameAnalysis(0.9, 500), // A reflection read as the liquid line
+        createFrameAnalysis(0.5)
+    ]);
+    assert.equal(frameIndex, 2);
+    assert.equal(analysis.liquidLevel, getLevelY(0.5));
+    assert.deepEqual(analysis.burst, { frames: 6, used: 5, spread: 2 });
+    assert.equal(analysis.beerPercentage, 50);
+});
+
+test('unusable frames have no say in the level', () => {
+    const unusable = createFrameAnalysis(0.9, 500, { usable: false, confidence: 0.2 });
+    const { frameIndex, analysis } = combineBurst([
+        unusable,
+        createFrameAnalysis(0.4),
+        unusable,
+        createFrameAnalysis(0.4, 200)
+    ]);
+    assert.equal(frameIndex, 3);
+    assert.equal(analysis.liquidLevel, getLevelY(0.4));
+    assert.equal(analysis.burst.used, 2);
+});
+
+test('with fewer than two usable frames the most confident one is used as it is', () => {
+    const frames = [
+        createFrameAnalysis(0.3, 100, { usable: false, confidence: 0.3 }),
+        createFrameAnalysis(0.5, 100, { confidence: 0.9 }),
+        createFrameAnalysis(0.7, 100, { usable: false, confidence: 0.5 })
+    ];
+    const { frameIndex, analysis } = combineBurst(frames);
+    assert.equal(frameIndex, 1);
+    assert.equal(analysis.liquidLevel, pintAnalysis.liquidLevel);
+    assert.deepEqual(analysis.burst, { frames: 3, used: 1, spread: 0 });
+});
+
+test('the head moves with the liquid line, keeping its thickness', () => {
+    const { analysis } = combineBurst([createFrameAnalysis(0.6), createFrameAnalysis(0.6)]);
+    const shift = getLevelY(0.6) - pintAnalysis.liquidLevel;
+    assert.equal(analysis.headBodyBoundary, pintAnalysis.headBodyBoundary + shift);
+    assert.equal(analysis.headTop, pintAnalysis.headTop + shift);
+});
+
+test('a pint with no foam still has none after moving', () => {
+    const noHead = { headTop: pintAnalysis.headBodyBoundary };
+    const { analysis } = combineBurst([createFrameAnalysis(0.6, 100, noHead), createFrameAnalysis(0.6, 100, noHead)]);
+    assert.equal(analysis.headTop, analysis.headBodyBoundary);
+});
+
+test('a head moved up past the rim stops at the rim', () => {
+    const { analysis } = combineBurst([createFrameAnalysis(0.95), createFrameAnalysis(0.95)]);
+    assert.equal(analysis.headTop, glassTop);
+});
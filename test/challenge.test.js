@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeImage } from '../js/analyzer.js';
+import { createChallengeResult, checkChallengeResult } from '../js/challenge.js';
+import { WIDTH, HEIGHT, createFrame, drawPint } from './fixtures.js';
+
+function createResult() {
+    const pixels = createFrame();
+    drawPint(pixels);
+    return createChallengeResult(analyzeImage(pixels, WIDTH, HEIGHT), 'Aoife', '');
+}
+
+test('a genuine result checks out', () => {
+    assert.deepEqual(checkChallengeResult(createResult()), { scoreValid: true, boundariesValid: true });
+});
+
+test('percentages in the link are not trusted over the lines', () => {
+    const result = createResult();
+    // Drop the beer line to 30% and claim the fill hit the target
+    result.liquidLevel = Math.round(result.glassBottom - (result.glassBottom - result.glassTop) * 0.3);
+    result.beerPercentage = 30;
+    result.scoredPercentage = result.targetPercentage;
+    result.scoredTargetPercentage = result.targetPercentage;
+    result.score = 100;
+    
+    assert.equal(checkChallengeResult(result).scoreValid, false);
+});
+
+test('a target moved outside where a G can be printed is rejected', () => {
+    const result = createResult();
+    result.liquidLevel = Math.round(result.glassBottom - (result.glassBottom - result.glassTop) * 0.2);
+    result.targetY = result.liquidLevel;
+    result.beerPercentage = 20;
+    result.targetPercentage = 20;
+    result.score = 100;
+    
+    assert.equal(checkChallengeResult(result).boundariesValid, false);
+});
+
+for (const preset of ['constructor', 'toString', '__proto__', 'custom']) {
+    test(`rules naming the preset ${preset} are rejected`, () => {
+        const result = createResult();
+        result.scoring = { ...result.scoring, preset: preset };
+        assert.deepEqual(checkChallengeResult(result), { scoreValid: false, boundariesValid: false });
+    });
+}
+
+test('a result without the glass geometry is rejected', () => {
+    const result = createResult();
+    delete result.bounds;
+    assert.deepEqual(checkChallengeResult(result), { scoreValid: false, boundariesValid: false });
+});
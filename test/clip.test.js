@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findStableFrame, getSampleTimes } from '../js/clip.js';
+
+// Synthetic timeline sampled four times a second. levels lists the beer level (fraction of
+// the glass height) of each frame, null for a frame the detector couldn't read.
+function createTimeline(levels, sharpness = () => 10) {
+    return levels.map((level, index) => ({
+        time: (index + 0.5) / 4,
+        analysis: level === null
+            ? { usable: false, beerLevel: null, sharpness: 0 }
+            : { usable: true, beerLevel: level, sharpness: sharpness(index) }
+    }));
+}
+
+test('a level that drops and then holds settles on the steady stretch', () => {
+    const timeline = createTimeline([0.9, 0.8, 0.7, 0.6, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5],
+        index => index === 6 ? 20 : 10);
+    assert.equal(findStableFrame(timeline), 6);
+});
+
+test('the last steady stretch wins over an earlier one', () => {
+    const timeline = createTimeline([
+        0.9, 0.9, 0.9, 0.9, 0.9, 0.9, // Before drinking
+        0.8, 0.7, 0.6,
+        0.55, 0.55, 0.55, 0.55, 0.55, 0.55 // After
+    ], index => index === 2 || index === 12 ? 20 : 10);
+    assert.equal(findStableFrame(timeline), 12);
+});
+
+test('small wobbles within the tolerance still count as steady', () => {
+    const timeline = createTimeline([0.7, 0.5, 0.51, 0.5, 0.495, 0.5, 0.505], index => index === 4 ? 20 : 10);
+    assert.equal(findStableFrame(timeline), 4);
+});
+
+test('a level that holds for less than a second has not settled', () => {
+    assert.equal(findStableFrame(createTimeline([0.9, 0.8, 0.7, 0.6, 0.5, 0.5, 0.5, 0.5])), -1);
+});
+
+test('a level that keeps falling never settles', () => {
+    assert.equal(findStableFrame(createTimeline([0.9, 0.85, 0.8, 0.75, 0.7, 0.65, 0.6, 0.55, 0.5])), -1);
+});
+
+test('unreadable frames are skipped, not counted as a change of level', () => {
+    const timeline = createTimeline([0.8, 0.5, null, 0.5, null, 0.5, 0.5, null, 0.5], index => index === 3 ? 20 : 10);
+    assert.equal(findStableFrame(timeline), 3);
+});
+
+test('an empty or unreadable clip has no stable frame', () => {
+    assert.equal(findStableFrame([]), -1);
+    assert.equal(findStableFrame(createTimeline([null, null, null, null, null, null])), -1);
+});
+
+test('sample times are spread evenly and capped for long clips', () => {
+    assert.deepEqual(getSampleTimes(1), [0.125, 0.375, 0.625, 0.875]);
+    assert.deepEqual(getSampleTimes(0.1), [0.05]);
+    assert.equal(getSampleTimes(600).length, 120);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EXPORT_FORMAT, EXPORT_VERSION, exportAttemptsJson, exportAttemptsCsv, parseAttemptsJson, findNewAttempts
+} from '../js/export.js';
+
+function createAttempt(id, player = 'Sam') {
+    return {
+        id: id,
+        player: player,
+        timestamp: Date.UTC(2024, 2, 17, 20, 0),
+        score: 80,
+        beerPercentage: 50,
+        targetPercentage: 60,
+        scoring: { preset: 'classic', customTarget: null, underDrinkPenalty: 1, overDrinkPenalty: 1 }
+    };
+}
+
+function parseError(text) {
+    try {
+        parseAttemptsJson(text);
+    } catch (err) {
+        return { name: err.name, code: err.code };
+    }
+    assert.fail('the import was accepted');
+}
+
+test('an export reads back in unchanged', () => {
+    const attempts = [createAttempt('a'), createAttempt('b', 'Alex')];
+    assert.deepEqual(parseAttemptsJson(exportAttemptsJson(attempts, true)), { attempts: attempts, skipped: 0 });
+});
+
+test('a file that is not JSON is rejected as invalid-json', () => {
+    assert.deepEqual(parseError('{"format": "split-the-g'), { name: 'ImportError', code: 'invalid-json' });
+});
+
+test('JSON that is not an export is rejected as not-export', () => {
+    assert.deepEqual(parseError('null'), { name: 'ImportError', code: 'not-export' });
+    assert.deepEqual(parseError('[]'), { name: 'ImportError', code: 'not-export' });
+    assert.deepEqual(parseError(JSON.stringify({ format: 'other', version: 1, attempts: [] })),
+        { name: 'ImportError', code: 'not-export' });
+});
+
+test('an export from a newer version is rejected as newer-version', () => {
+    const text = JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, attempts: [] });
+    assert.deepEqual(parseError(text), { name: 'ImportError', code: 'newer-version' });
+});
+
+test('attempts that fail the schema are skipped and counted', () => {
+    const text = JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        attempts: [
+            createAttempt('a'),
+            { ...createAttempt('b'), score: '80' },
+            { ...createAttempt('c'), score: undefined },
+            'attempt'
+        ]
+    });
+    const { attempts, skipped } = parseAttemptsJson(text);
+    assert.deepEqual(attempts.map(attempt => attempt.id), ['a']);
+    assert.equal(skipped, 3);
+});
+
+test('thumbnails that are not image data URLs are dropped', () => {
+    const text = JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        attempts: [{ ...createAttempt('a'), thumbnail: 'https://example.com/pint.jpg' }]
+    });
+    assert.equal('thumbnail' in parseAttemptsJson(text).attempts[0], false);
+});
+
+test('attempts already stored or repeated in the import are left out', () => {
+    const existing = [createAttempt('a')];
+    const imported = [createAttempt('a'), createAttempt('b'), createAttempt('b', 'Alex'), createAttempt('c')];
+    assert.deepEqual(findNewAttempts(existing, imported).map(attempt => [attempt.id, attempt.player]),
+        [['b', 'Sam'], ['c', 'Sam']]);
+});
+
+test('CSV values starting like a formula are exported as text', () => {
+    const players = ['=1+1', '+1', '-1', '@SUM(A1)', 'Sam'];
+    const lines = exportAttemptsCsv(players.map((player, i) => createAttempt(`id${i}`, player))).split('\r\n');
+    const exported = lines.slice(1, -1).map(line => line.split(',')[1]);
+    assert.deepEqual(exported, ["'=1+1", "'+1", "'-1", "'@SUM(A1)", 'Sam']);
+});
+
+test('CSV values with separators, quotes or line breaks are quoted', () => {
+    const csv = exportAttemptsCsv([createAttempt('a', 'Sam, "the Pint"\nKing')]);
+    assert.ok(csv.includes(',"Sam, ""the Pint""\nKing",'));
+});
@@ -0,0 +1,72 @@
+// Synthetic photos for the analyzer tests
+// Drawn straight into RGBA buffers so the tests need no image files or decoder. Each describes
+// a grey-scale scene in the 640×480 frame the app analyses.
+
+export const WIDTH = 640;
+export const HEIGHT = 480;
+
+// The pint every scene starts from: a rim line across the top, empty glass, a light foam head
+// and dark stout down to the base, in front of a plain light background
+export const pint = {
+    left: 150,
+    right: 490,
+    rim: 60,
+    headTop: 200,
+    body: 230,
+    bottom: 400,
+    stout: 20
+};
+
+export function createFrame(background = 200) {
+    const pixels = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let i = 0; i < pixels.length; i += 4) {
+        pixels[i] = pixels[i + 1] = pixels[i + 2] = background;
+        pixels[i + 3] = 255;
+    }
+    return pixels;
+}
+
+export function setGray(pixels, x, y, value) {
+    const idx = (y * WIDTH + x) * 4;
+    pixels[idx] = pixels[idx + 1] = pixels[idx + 2] = value;
+}
+
+export function drawPint(pixels) {
+    for (let y = pint.rim + 1; y < pint.bottom; y++) {
+        const value = y < pint.headTop ? 220 : y < pint.body ? 235 : pint.stout;
+        for (let x = pint.left + 1; x < pint.right; x++) {
+            setGray(pixels, x, y, value);
+        }
+    }
+    // The rim is a little wider than the glass below it
+    for (let x = pint.left - 49; x < pint.right + 50; x++) {
+        setGray(pixels, x, pint.rim, 40);
+        setGray(pixels, x, pint.rim + 1, 40);
+    }
+}
+
+// "G" and five more letters printed light on the stout, 18px wide and 30px tall with
+// strokes strokeWidth thick. The G's bar starts 14px below the top of the word.
+export function drawLogo(pixels, top, strokeWidth) {
+    const bottom = top + 30;
+    const letterWidth = 18;
+    for (let letter = 0; letter < 6; letter++) {
+        const left = 200 + letter * 25;
+        const right = left + letterWidth;
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                const inBar = y >= top + 14 && y < top + 14 + strokeWidth;
+                let ink;
+                if (letter === 0) {
+                    ink = x < left + strokeWidth || y < top + strokeWidth || y >= bottom - strokeWidth ||
+                        (x >= right - strokeWidth && y > top + 14) || (inBar && x >= left + 9);
+                } else {
+                    ink = x < left + strokeWidth || x >= right - strokeWidth || inBar;
+                }
+                if (ink) {
+                    setGray(pixels, x, y, 230);
+                }
+            }
+        }
+    }
+}
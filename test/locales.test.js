@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { locales, findMissingKeys } from '../js/i18n.js';
+import { glassProfiles } from '../js/glass-profiles.js';
+import { scoringPresets } from '../js/scoring.js';
+
+const root = new URL('../', import.meta.url);
+const english = locales.en.messages;
+
+for (const [code, locale] of Object.entries(locales)) {
+    test(`the ${locale.name} catalog has every message`, () => {
+        assert.deepEqual(findMissingKeys(code), []);
+    });
+    
+    test(`the ${locale.name} catalog has no messages English lacks`, () => {
+        const extra = Object.keys(locale.messages).filter(key => !(key in english));
+        assert.deepEqual(extra, []);
+    });
+    
+    test(`the ${locale.name} plural messages all have an other form`, () => {
+        const incomplete = Object.entries(locale.messages)
+            .filter(([, message]) => typeof message === 'object' && !message.other)
+            .map(([key]) => key);
+        assert.deepEqual(incomplete, []);
+    });
+}
+
+// Keys named directly in the page and in t('…') calls; keys built at runtime are checked below
+test('every key used in the page and the scripts is in the English catalog', () => {
+    const sources = [readFileSync(new URL('index.html', root), 'utf8')];
+    readdirSync(new URL('js/', root))
+        .filter(name => name.endsWith('.js'))
+        .forEach(name => sources.push(readFileSync(new URL(`js/${name}`, root), 'utf8')));
+    
+    const used = new Set();
+    sources.forEach(source => {
+        for (const match of source.matchAll(/data-i18n(?:-[\w-]+)?="([^"]+)"|\bt\('([^']+)'/g)) {
+            used.add(match[1] || match[2]);
+        }
+    });
+    assert.deepEqual([...used].filter(key => !(key in english)), []);
+});
+
+// Keys the app builds from codes at runtime, which the search above can't see
+const runtimeKeys = [
+    // Analyzer issues (assessConfidence in js/analyzer.js), shown as retake hints and in the inspector
+    ...['no-rim', 'no-bottom', 'no-liquid', 'glass-too-small', 'too-dark', 'blurry', 'tilted']
+        .map(issue => `retake.${issue}`),
+    // Live quality check statuses (getStatus in js/precheck.js)
+    ...['too-dark', 'too-bright', 'glare', 'moving', 'blurry', 'no-glass', 'move-closer', 'ok']
+        .map(status => `precheck.${status}`),
+    // Import error codes (parseAttemptsJson in js/export.js)
+    ...['invalid-json', 'not-export', 'newer-version'].map(code => `error.import.${code}`),
+    // Feedback by how close the score came and which way to go
+    ...['close', 'closer', 'adjusting', 'far'].flatMap(level => [`result.${level}.more`, `result.${level}.less`]),
+    ...['height', 'volume'].map(scoreBy => `result.scoreBy.${scoreBy}`),
+    ...Object.keys(glassProfiles).map(profile => `profile.${profile}`),
+    ...Object.keys(scoringPresets).map(preset => `rules.name.${preset}`)
+];
+
+for (const locale of Object.values(locales)) {
+    test(`the ${locale.name} catalog has every message built at runtime`, () => {
+        assert.deepEqual(runtimeKeys.filter(key => !(key in locale.messages)), []);
+    });
+}
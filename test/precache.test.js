@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync, existsSync, statSync } from 'node:fs';
+
+const root = new URL('../', import.meta.url);
+
+// The service worker runs in its own global scope, so its list is read from the source
+const workerSource = readFileSync(new URL('sw.js', root), 'utf8');
+const precacheList = workerSource.match(/const PRECACHE_URLS = \[([^\]]*)\]/)[1];
+const precacheUrls = [...precacheList.matchAll(/'([^']+)'/g)].map(match => match[1]);
+
+// Every file in a folder and its subfolders, relative to the app root
+function listFiles(folder) {
+    return readdirSync(new URL(folder, root), { recursive: true })
+        .map(name => folder + name)
+        .filter(file => statSync(new URL(file, root)).isFile());
+}
+
+test('every precached file exists', () => {
+    const missing = precacheUrls.filter(url => url !== './' && !existsSync(new URL(url, root)));
+    assert.deepEqual(missing, []);
+});
+
+test('every script and icon is precached', () => {
+    const files = [...listFiles('js/'), ...listFiles('icons/')];
+    assert.deepEqual(files.filter(file => !precacheUrls.includes(file)), []);
+});
+
+test('the page, styles and manifest are precached', () => {
+    for (const url of ['./', 'index.html', 'styles.css', 'manifest.webmanifest']) {
+        assert.ok(precacheUrls.includes(url), url);
+    }
+});
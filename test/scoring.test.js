@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateScore, getPreset, scoringPresets } from '../js/scoring.js';
+import { analyzeImage } from '../js/analyzer.js';
+import { WIDTH, HEIGHT, createFrame, drawPint } from './fixtures.js';
+
+// [points off the target, expected score] along each preset's curve
+const curves = {
+    casual: [[0, 100], [3, 97], [5, 95], [10, 88], [20, 68], [60, 0]],
+    classic: [[0, 100], [2, 95], [4, 92], [10, 80], [15, 60], [40, 0]],
+    pro: [[0, 100], [1, 95], [2, 88], [5, 60], [20, 0]]
+};
+
+for (const [preset, points] of Object.entries(curves)) {
+    test(`the ${preset} curve scores the same on both sides of the target`, () => {
+        for (const [difference, expected] of points) {
+            assert.equal(calculateScore(60 + difference, 60, { preset }), expected, `${difference} over`);
+            assert.equal(calculateScore(60 - difference, 60, { preset }), expected, `${difference} under`);
+        }
+    });
+}
+
+test('leaving too much beer is weighted by the under-drinking penalty only', () => {
+    const rules = { preset: 'classic', underDrinkPenalty: 2 };
+    assert.equal(calculateScore(70, 60, rules), 40);
+    assert.equal(calculateScore(50, 60, rules), 80);
+});
+
+test('drinking past the line is weighted by the over-drinking penalty only', () => {
+    const rules = { preset: 'classic', overDrinkPenalty: 1.5 };
+    assert.equal(calculateScore(50, 60, rules), 60);
+    assert.equal(calculateScore(70, 60, rules), 80);
+});
+
+test('missing rules fall back to the classic defaults', () => {
+    assert.equal(calculateScore(50, 60), 80);
+    assert.equal(calculateScore(50, 60, {}), 80);
+});
+
+for (const preset of ['constructor', 'toString', 'unknown', undefined]) {
+    test(`the preset ${preset} falls back to classic`, () => {
+        assert.equal(getPreset({ preset }), scoringPresets.classic);
+        assert.equal(calculateScore(50, 60, { preset }), 80);
+    });
+}
+
+test('a custom target replaces the 60% line', () => {
+    const pixels = createFrame();
+    drawPint(pixels);
+    const analysis = analyzeImage(pixels, WIDTH, HEIGHT, {
+        scoring: { preset: 'classic', customTarget: 50, underDrinkPenalty: 1, overDrinkPenalty: 1 }
+    });
+    
+    assert.equal(analysis.beerPercentage, 50);
+    assert.equal(analysis.targetPercentage, 50);
+    assert.equal(analysis.score, 100);
+});
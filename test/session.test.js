@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createSession, getCurrentPlayer, recordTurn, updateTurnResult, getTurnResult, getLeaderboard
+} from '../js/session.js';
+import { defaultScoringRules } from '../js/scoring.js';
+
+// Just the fields a turn is recorded from
+function createAnalysis(score, scoredPercentage, manuallyAdjusted = false) {
+    return {
+        score: score,
+        scoredPercentage: scoredPercentage,
+        scoredTargetPercentage: 60,
+        manuallyAdjusted: manuallyAdjusted
+    };
+}
+
+test('a session nobody has played yet ranks everyone level', () => {
+    const session = createSession(['Sam', 'Alex'], 2, defaultScoringRules);
+    assert.equal(getCurrentPlayer(session), 'Sam');
+    assert.equal(getTurnResult(session, 'Sam', 1), undefined);
+    assert.deepEqual(getLeaderboard(session), [
+        { player: 'Sam', total: 0, distance: 0, turns: 0, rank: 1 },
+        { player: 'Alex', total: 0, distance: 0, turns: 0, rank: 1 }
+    ]);
+});
+
+test('turns go round the players and the session ends after the last round', () => {
+    const session = createSession(['Sam', 'Alex'], 2, defaultScoringRules);
+    recordTurn(session, createAnalysis(80, 50));
+    assert.deepEqual([getCurrentPlayer(session), session.round], ['Alex', 1]);
+    recordTurn(session, createAnalysis(90, 65));
+    assert.deepEqual([getCurrentPlayer(session), session.round], ['Sam', 2]);
+    recordTurn(session, createAnalysis(70, 70));
+    assert.equal(session.finished, false);
+    recordTurn(session, createAnalysis(60, 40));
+    assert.equal(session.finished, true);
+    
+    assert.deepEqual(getTurnResult(session, 'Alex', 1),
+        { round: 1, player: 'Alex', score: 90, distance: 5, manuallyAdjusted: false });
+    assert.deepEqual(getLeaderboard(session).map(standing => [standing.player, standing.total, standing.rank]),
+        [['Sam', 150, 1], ['Alex', 150, 2]]);
+});
+
+test('equal totals are split by distance from the target, then share a rank', () => {
+    const session = createSession(['Sam', 'Alex', 'Kim'], 1, defaultScoringRules);
+    recordTurn(session, createAnalysis(80, 50));
+    recordTurn(session, createAnalysis(80, 70));
+    recordTurn(session, createAnalysis(80, 56));
+    assert.deepEqual(getLeaderboard(session).map(standing => [standing.player, standing.rank]),
+        [['Kim', 1], ['Sam', 2], ['Alex', 2]]);
+});
+
+test('correcting a turn replaces its score', () => {
+    const session = createSession(['Sam'], 3, defaultScoringRules);
+    recordTurn(session, createAnalysis(40, 30));
+    updateTurnResult(session, 0, createAnalysis(95, 58, true));
+    assert.deepEqual(session.results[0], { round: 1, player: 'Sam', score: 95, distance: 2, manuallyAdjusted: true });
+    
+    updateTurnResult(session, 5, createAnalysis(10, 0));
+    assert.equal(session.results.length, 1);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STREAK_SCORE, groupByPlayer, getStreaks, getPlayerStats } from '../js/stats.js';
+
+function createAttempt(player, score, timestamp) {
+    return { id: `${player}-${timestamp}`, player: player, score: score, timestamp: timestamp };
+}
+
+test('no attempts give no stats', () => {
+    assert.equal(groupByPlayer([]).size, 0);
+    assert.deepEqual(getStreaks([]), { current: 0, longest: 0 });
+    assert.deepEqual(getPlayerStats([]), []);
+});
+
+test('streaks count scores at or above the streak score', () => {
+    assert.deepEqual(getStreaks([STREAK_SCORE, 90, 40, 95, 99, 100, STREAK_SCORE - 1, 88]), { current: 1, longest: 3 });
+    assert.deepEqual(getStreaks([90, 92]), { current: 2, longest: 2 });
+});
+
+test('attempts are grouped by player, oldest first', () => {
+    const groups = groupByPlayer([
+        createAttempt('Sam', 50, 3),
+        createAttempt('Alex', 60, 2),
+        createAttempt('Sam', 70, 1)
+    ]);
+    assert.deepEqual([...groups.keys()], ['Sam', 'Alex']);
+    assert.deepEqual(groups.get('Sam').map(attempt => attempt.score), [70, 50]);
+});
+
+test('players are ranked by best score, then average', () => {
+    const stats = getPlayerStats([
+        createAttempt('Sam', 90, 1),
+        createAttempt('Alex', 90, 2),
+        createAttempt('Alex', 86, 3),
+        createAttempt('Sam', 45, 4),
+        createAttempt('Kim', 0, 5)
+    ]);
+    assert.deepEqual(stats, [
+        { player: 'Alex', attempts: 2, best: 90, average: 88, currentStreak: 2, longestStreak: 2 },
+        { player: 'Sam', attempts: 2, best: 90, average: 67.5, currentStreak: 0, longestStreak: 1 },
+        { player: 'Kim', attempts: 1, best: 0, average: 0, currentStreak: 0, longestStreak: 0 }
+    ]);
+});